@@ -1,35 +1,86 @@
 /**
  * Agent Runner
  * Bridges the Claude Agent SDK to SSE broadcasts.
- * Handles streaming, tool calls, session resumption, and interruption.
+ * Handles streaming, tool calls, session resumption, interruption,
+ * browser approval of tool use, and queued follow-up prompts.
  */
 
 import { query } from '@anthropic-ai/claude-agent-sdk';
 import { v4 as uuid } from 'uuid';
 import sse from './sse-manager.js';
-import store from './session-store.js';
+import store, { latestTodos } from './session-store.js';
+import attachmentStore from './attachment-store.js';
+import budget from './budget.js';
+import usageLedger from './usage-ledger.js';
+import config from './config.js';
+import commands from './slash-commands.js';
+import metrics from './metrics.js';
+
+const PERMISSION_TIMEOUT_MS = 5 * 60 * 1000; // Unanswered approvals are denied
+
+/**
+ * Allow rules in a set of SDK permission suggestions, as permission-rule
+ * strings ("Bash(npm test:*)").
+ * @param {object[]} [suggestions] - PermissionUpdate[]
+ * @returns {string[]}
+ */
+function allowRules(suggestions) {
+  return (suggestions || [])
+    .filter(u => u.type === 'addRules' && u.behavior === 'allow')
+    .flatMap(u => u.rules || [])
+    .map(({ toolName, ruleContent }) => ruleContent ? `${toolName}(${ruleContent})` : toolName);
+}
 
 class AgentRunner {
   constructor() {
     /** @type {Map<string, AbortController>} */
     this.active = new Map();
+    /** @type {Map<string, import('@anthropic-ai/claude-agent-sdk').Query>} Live queries, for mid-run control */
+    this.queries = new Map();
+    /** @type {Map<string, object>} Pending tool approvals by request ID */
+    this.permissions = new Map();
+    /** @type {Map<string, Set<string>>} Permission rules approved with "always allow" (e.g. "Bash(npm test:*)"), per session */
+    this.alwaysAllowed = new Map();
+    /** @type {Map<string, object[]>} Prompts waiting for the current run to finish, per session */
+    this.queues = new Map();
+    /** @type {Map<string, string>} Why a session's queue is on hold ('interrupted' | 'error') */
+    this.pausedQueues = new Map();
+
+    metrics.onCollect(() => metrics.set('active_runs', {}, this.active.size));
   }
 
   /**
    * Run a prompt against a session via the Agent SDK.
    * @param {string} sessionId - Our session ID
    * @param {string} prompt - User's message
+   * @param {object} [opts]
+   * @param {object[]} [opts.attachments] - Attachment metadata from AttachmentStore
+   * @param {object} [opts.command] - Slash command the prompt came from; its model and
+   *   allowed-tools apply to this turn only
    */
-  async run(sessionId, prompt) {
+  async run(sessionId, prompt, { attachments = [], command = null } = {}) {
     const session = store.get(sessionId);
     if (!session) throw new Error('Session not found');
-    if (session.status === 'running') throw new Error('Session already running');
+    if (this.isRunning(sessionId)) throw new Error('Session already running');
+    const over = budget.exceeded(session);
+    if (over) throw new Error(`${over.scope} budget of $${over.limit.toFixed(2)} reached`);
 
     const abortController = new AbortController();
     this.active.set(sessionId, abortController);
 
     store.update(sessionId, { status: 'running' });
     sse.broadcast(sessionId, 'status', { status: 'running' });
+    // Any new run picks the queue back up; it drains when this one finishes
+    if (this.pausedQueues.delete(sessionId)) this._broadcastQueue(sessionId);
+
+    // Run the command's shell lines and read its @files now rather than when it was queued
+    if (command) {
+      try {
+        prompt = await commands.expand(command.command, command.args, session.cwd) ?? prompt;
+      } catch (err) {
+        console.error('[AgentRunner] Command expansion error:', err.message);
+      }
+    }
 
     // Record user message
     const userMsg = {
@@ -38,31 +89,69 @@ class AgentRunner {
       content: prompt,
       timestamp: new Date().toISOString()
     };
+    if (attachments.length) {
+      userMsg.attachments = attachments.map(({ id, name, mimeType, kind, size }) => ({ id, name, mimeType, kind, size }));
+    }
     store.addMessage(sessionId, userMsg);
     sse.broadcast(sessionId, 'user_message', userMsg);
 
     let currentMsgId = null;
     let currentToolCallId = null;
     let currentToolName = null;
+    let pendingThinking = []; // Thinking blocks waiting for the text/tool blocks they lead into
+    const toolStarts = new Map(); // Tool call ID → {tool, started}, for duration metrics
+    let failed = false;
 
     try {
       const options = {
         cwd: session.cwd,
-        model: session.model,
+        model: command?.model || session.model,
         systemPrompt: { type: 'preset', preset: 'claude_code' },
-        permissionMode: 'bypassPermissions',
-        allowDangerouslySkipPermissions: true,
+        permissionMode: session.permissionMode || 'default',
+        allowDangerouslySkipPermissions: session.permissionMode === 'bypassPermissions',
+        canUseTool: (tool, input, opts) => this._requestPermission(sessionId, tool, input, opts),
         includePartialMessages: true,
         abortController,
         settingSources: ['user', 'project']
       };
 
+      // Let the SDK stop mid-run at whatever headroom is left under the tightest budget
+      const headroom = budget.remaining(session);
+      if (headroom != null) options.maxBudgetUsd = headroom;
+      const maxTurns = session.maxTurns || config.budgets.maxTurns;
+      if (maxTurns) options.maxTurns = maxTurns;
+
+      if (session.maxThinkingTokens) {
+        options.maxThinkingTokens = session.maxThinkingTokens;
+      }
+      if (session.appendSystemPrompt) options.systemPrompt.append = session.appendSystemPrompt;
+      // Merged with any servers from the user/project settings files
+      if (session.mcpServers) options.mcpServers = session.mcpServers;
+      // Allowed tools skip canUseTool; disallowed ones are never offered to the model
+      const allowedTools = [
+        ...(session.allowedTools || []),
+        ...(command?.allowedTools || []),
+        ...(this.alwaysAllowed.get(sessionId) || [])
+      ];
+      if (allowedTools.length) options.allowedTools = allowedTools;
+      if (session.disallowedTools?.length) options.disallowedTools = session.disallowedTools;
+      if (session.additionalDirectories?.length) options.additionalDirectories = session.additionalDirectories;
+
       // Resume if we have a prior SDK session
       if (session.sdkSessionId) {
         options.resume = session.sdkSessionId;
+      } else if (session.forkPoint) {
+        // First turn of a fork: branch the parent's SDK session at the fork point
+        options.resume = session.forkPoint.sdkSessionId;
+        options.resumeSessionAt = session.forkPoint.resumeAt;
+        options.forkSession = true;
       }
 
-      const q = query({ prompt, options });
+      // Attachments go as content blocks, which needs the SDK's streaming-input mode
+      const input = attachments.length ? this._streamingPrompt(sessionId, prompt, attachments) : prompt;
+
+      const q = query({ prompt: input, options });
+      this.queries.set(sessionId, q);
 
       for await (const message of q) {
         if (abortController.signal.aborted) break;
@@ -71,21 +160,35 @@ class AgentRunner {
           case 'system': {
             if (message.subtype === 'init') {
               // Capture SDK session ID for resume
-              store.update(sessionId, { sdkSessionId: message.session_id });
+              const mcpStatus = (message.mcp_servers || []).map(({ name, status }) => ({ name, status }));
+              store.update(sessionId, { sdkSessionId: message.session_id, forkPoint: null, mcpStatus, tools: message.tools });
               sse.broadcast(sessionId, 'system_init', {
                 sdkSessionId: message.session_id,
                 model: message.model,
-                tools: message.tools
+                tools: message.tools,
+                mcpServers: mcpStatus
+              });
+              sse.broadcast(sessionId, 'mcp_status', { servers: mcpStatus });
+              if (mcpStatus.some(s => s.status !== 'connected')) this._refreshMcpStatus(sessionId, q);
+            } else if (message.subtype === 'compact_boundary') {
+              const before = message.compact_metadata?.pre_tokens;
+              sse.broadcast(sessionId, 'system_message', {
+                command: 'compact',
+                text: `Conversation compacted${before ? ` (was ${before.toLocaleString('en-US')} tokens)` : ''}.`,
+                level: 'info',
+                clear: false
               });
             }
             break;
           }
 
           case 'stream_event': {
+            // Subagent partials would clobber the parent's block tracking; their complete messages follow
+            if (message.parent_tool_use_id) break;
             const event = message.event;
 
             if (event.type === 'content_block_start') {
-              if (event.content_block.type === 'text') {
+              if (event.content_block.type === 'text' || event.content_block.type === 'thinking') {
                 currentMsgId = currentMsgId || uuid();
               } else if (event.content_block.type === 'tool_use') {
                 currentToolCallId = event.content_block.id;
@@ -107,6 +210,12 @@ class AgentRunner {
                   msgId: currentMsgId,
                   text: delta.text
                 });
+              } else if (delta.type === 'thinking_delta') {
+                if (!currentMsgId) currentMsgId = uuid();
+                sse.broadcast(sessionId, 'thinking_delta', {
+                  msgId: currentMsgId,
+                  text: delta.thinking
+                });
               } else if (delta.type === 'input_json_delta') {
                 sse.broadcast(sessionId, 'tool_input_delta', {
                   msgId: currentMsgId,
@@ -127,20 +236,26 @@ class AgentRunner {
           }
 
           case 'assistant': {
-            // Complete assistant message — includes full content blocks and tool results
-            currentMsgId = currentMsgId || uuid();
+            // Complete assistant message — includes full content blocks and tool results.
+            // Subagent (Task) turns carry the launching tool call's ID and leave the parent stream alone.
+            const parentToolUseId = message.parent_tool_use_id || null;
+            if (!parentToolUseId) currentMsgId = currentMsgId || uuid();
             const assistantMsg = {
-              id: currentMsgId,
+              id: parentToolUseId ? uuid() : currentMsgId,
+              sdkUuid: message.uuid, // Branch point for forks (resumeSessionAt)
               role: 'assistant',
               content: [],
               toolCalls: [],
               timestamp: new Date().toISOString()
             };
+            if (parentToolUseId) assistantMsg.parentToolUseId = parentToolUseId;
 
             const apiMsg = message.message;
             if (apiMsg && apiMsg.content) {
               for (const block of apiMsg.content) {
-                if (block.type === 'text') {
+                if (block.type === 'thinking') {
+                  assistantMsg.content.push({ type: 'thinking', thinking: block.thinking });
+                } else if (block.type === 'text') {
                   assistantMsg.content.push({ type: 'text', text: block.text });
                 } else if (block.type === 'tool_use') {
                   assistantMsg.toolCalls.push({
@@ -148,13 +263,36 @@ class AgentRunner {
                     tool: block.name,
                     input: block.input
                   });
+                  toolStarts.set(block.id, { tool: block.name, started: Date.now() });
                 }
               }
             }
 
+            if (parentToolUseId) {
+              store.addMessage(sessionId, assistantMsg);
+              sse.broadcast(sessionId, 'assistant_message', assistantMsg);
+              break;
+            }
+
+            // The SDK can emit a block at a time — hold thinking-only messages
+            // so the reasoning is stored with the answer it led to
+            if (assistantMsg.content.every(c => c.type === 'thinking') && assistantMsg.toolCalls.length === 0) {
+              pendingThinking.push(...assistantMsg.content);
+              break;
+            }
+            assistantMsg.content.unshift(...pendingThinking);
+            pendingThinking = [];
+
             store.addMessage(sessionId, assistantMsg);
             sse.broadcast(sessionId, 'assistant_message', assistantMsg);
 
+            // TodoWrite replaces the whole plan each time
+            if (assistantMsg.toolCalls.some(tc => tc.tool === 'TodoWrite')) {
+              const todos = latestTodos([assistantMsg]);
+              store.update(sessionId, { todos });
+              sse.broadcast(sessionId, 'todos', { todos });
+            }
+
             // Reset for next turn
             currentMsgId = null;
             currentToolCallId = null;
@@ -164,6 +302,7 @@ class AgentRunner {
 
           case 'user': {
             // Tool results come back as user messages
+            const parentToolUseId = message.parent_tool_use_id || null;
             if (message.message && message.message.content) {
               const contents = Array.isArray(message.message.content)
                 ? message.message.content
@@ -177,9 +316,27 @@ class AgentRunner {
                       ? block.content.map(c => c.type === 'text' ? c.text : '').join('')
                       : '';
 
+                  const started = toolStarts.get(block.tool_use_id);
+                  if (started) {
+                    toolStarts.delete(block.tool_use_id);
+                    metrics.inc('tool_calls_total', { tool: started.tool, status: block.is_error ? 'error' : 'ok' });
+                    metrics.observe('tool_duration_seconds', { tool: started.tool }, (Date.now() - started.started) / 1000);
+                  }
+
+                  const toolMsg = {
+                    id: uuid(),
+                    role: 'tool',
+                    toolCallId: block.tool_use_id,
+                    output,
+                    isError: block.is_error || false,
+                    timestamp: new Date().toISOString()
+                  };
+                  if (parentToolUseId) toolMsg.parentToolUseId = parentToolUseId;
+                  store.addMessage(sessionId, toolMsg);
                   sse.broadcast(sessionId, 'tool_complete', {
                     msgId: currentMsgId,
                     toolCallId: block.tool_use_id,
+                    parentToolUseId,
                     output: output.slice(0, 4000), // Cap output size for SSE
                     is_error: block.is_error || false
                   });
@@ -211,6 +368,17 @@ class AgentRunner {
               totalOutputTokens: (session.totalOutputTokens || 0) + result.usage.output
             });
 
+            store.addMessage(sessionId, { id: uuid(), role: 'result', ...result, timestamp: new Date().toISOString() });
+            // A command's model applies to this turn only; otherwise the session's, which may have switched mid-run
+            const model = command?.model || store.get(sessionId).model;
+            usageLedger.record({ ...store.get(sessionId), model }, result);
+
+            for (const [type, count] of Object.entries(result.usage)) {
+              metrics.inc('tokens_total', { model, type }, count);
+            }
+            metrics.inc('cost_usd_total', { model }, result.cost);
+            if (result.isError) failed = true;
+
             result.sessionTotals = {
               cost: store.get(sessionId).totalCost,
               inputTokens: store.get(sessionId).totalInputTokens,
@@ -218,6 +386,7 @@ class AgentRunner {
             };
 
             sse.broadcast(sessionId, 'result', result);
+            this._checkBudget(sessionId, result.cost);
             break;
           }
         }
@@ -227,19 +396,218 @@ class AgentRunner {
         sse.broadcast(sessionId, 'status', { status: 'interrupted' });
       } else {
         console.error(`[AgentRunner] Error in session ${sessionId}:`, err.message);
+        failed = true;
         sse.broadcast(sessionId, 'error', { message: err.message });
         store.update(sessionId, { status: 'error' });
       }
     } finally {
       this.active.delete(sessionId);
+      this.queries.delete(sessionId);
+      metrics.inc('queries_total', {
+        outcome: abortController.signal.aborted ? 'interrupted' : failed ? 'failed' : 'completed'
+      });
+      // Nothing is left to answer an approval once the query is gone
+      for (const p of this.permissions.values()) {
+        if (p.sessionId === sessionId) p.finish('deny', 'aborted');
+      }
       const s = store.get(sessionId);
       if (s && s.status === 'running') {
         store.update(sessionId, { status: 'idle' });
       }
       sse.broadcast(sessionId, 'status', { status: store.get(sessionId)?.status || 'idle' });
+
+      // Stopping or failing puts the queue on hold until resumed; a clean finish moves on to the next prompt
+      if (!abortController.signal.aborted && store.get(sessionId)?.status === 'idle') {
+        this._drainQueue(sessionId);
+      } else if (this.queues.get(sessionId)?.length) {
+        this.pausedQueues.set(sessionId, abortController.signal.aborted ? 'interrupted' : 'error');
+        this._broadcastQueue(sessionId);
+      }
     }
   }
 
+  // ─── Prompt Queue ─────────────────────────────────────────────
+
+  /**
+   * Queue a prompt to run after the current one finishes.
+   * @param {string} sessionId
+   * @param {object} entry
+   * @param {string} entry.text - What the user typed
+   * @param {string} entry.prompt - Text sent to Claude (slash commands expanded)
+   * @param {object} [entry.command] - Expanded command {command, args, description, model, allowedTools}, if any
+   * @param {object[]} [entry.attachments] - Attachment metadata
+   * @returns {object} The queued item
+   */
+  enqueue(sessionId, { text, prompt, command, attachments }) {
+    if (!this.queues.has(sessionId)) this.queues.set(sessionId, []);
+    const item = {
+      id: uuid(),
+      text,
+      prompt,
+      command: command || null,
+      attachments: attachments || [],
+      createdAt: new Date().toISOString()
+    };
+    this.queues.get(sessionId).push(item);
+    this._broadcastQueue(sessionId);
+    return this._queueView(item);
+  }
+
+  /**
+   * List queued prompts for a session, next-to-run first.
+   * @param {string} sessionId
+   * @returns {object[]}
+   */
+  getQueue(sessionId) {
+    return (this.queues.get(sessionId) || []).map(item => this._queueView(item));
+  }
+
+  /**
+   * Why a session's queue is on hold, if it is.
+   * @param {string} sessionId
+   * @returns {'interrupted'|'error'|null}
+   */
+  queuePaused(sessionId) {
+    return this.pausedQueues.get(sessionId) || null;
+  }
+
+  /**
+   * Take a queue off hold after a stopped or failed run, starting the next
+   * prompt if the session is idle.
+   * @param {string} sessionId
+   * @returns {boolean} False if the queue wasn't on hold
+   */
+  resumeQueue(sessionId) {
+    if (!this.pausedQueues.delete(sessionId)) return false;
+    this._broadcastQueue(sessionId);
+    if (!this.isRunning(sessionId)) this._drainQueue(sessionId);
+    return true;
+  }
+
+  /**
+   * Replace the text of a queued prompt.
+   * @param {string} sessionId
+   * @param {string} itemId
+   * @param {object} entry - Same shape as enqueue()
+   * @returns {object|null} The updated item, or null if it already ran
+   */
+  updateQueued(sessionId, itemId, { text, prompt, command }) {
+    const item = (this.queues.get(sessionId) || []).find(i => i.id === itemId);
+    if (!item) return null;
+    Object.assign(item, { text, prompt, command: command || null });
+    this._broadcastQueue(sessionId);
+    return this._queueView(item);
+  }
+
+  /**
+   * Remove one queued prompt, or all of them when itemId is omitted.
+   * @param {string} sessionId
+   * @param {string} [itemId]
+   * @returns {boolean} False if the item wasn't queued
+   */
+  removeQueued(sessionId, itemId) {
+    const queue = this.queues.get(sessionId) || [];
+    if (itemId) {
+      const idx = queue.findIndex(i => i.id === itemId);
+      if (idx === -1) return false;
+      queue.splice(idx, 1);
+    } else {
+      queue.length = 0;
+    }
+    if (queue.length === 0) {
+      this.queues.delete(sessionId);
+      this.pausedQueues.delete(sessionId);
+    }
+    this._broadcastQueue(sessionId);
+    return true;
+  }
+
+  _drainQueue(sessionId) {
+    // Over budget: leave the queue paused until the limit is raised
+    const over = budget.exceeded(store.get(sessionId));
+    if (over) {
+      if (this.queues.get(sessionId)?.length) sse.broadcast(sessionId, 'budget_exceeded', over);
+      return;
+    }
+
+    const queue = this.queues.get(sessionId);
+    const next = queue?.shift();
+    if (!next) return;
+    if (queue.length === 0) this.queues.delete(sessionId);
+    this._broadcastQueue(sessionId);
+
+    if (next.command) sse.broadcast(sessionId, 'command_expanded', next.command);
+    this.run(sessionId, next.prompt, { attachments: next.attachments, command: next.command }).catch(err => {
+      console.error('[AgentRunner] Queued run error:', err.message);
+    });
+  }
+
+  _broadcastQueue(sessionId) {
+    sse.broadcast(sessionId, 'queue', { items: this.getQueue(sessionId), paused: this.queuePaused(sessionId) });
+  }
+
+  /**
+   * Record a turn's spend and act on any budget thresholds it crossed:
+   * warn, and once a global limit is hit stop every other running session.
+   */
+  _checkBudget(sessionId, cost) {
+    for (const crossed of budget.record(store.get(sessionId), cost)) {
+      if (crossed.scope === 'session') {
+        sse.broadcast(sessionId, 'budget_warning', crossed);
+        continue;
+      }
+      sse.broadcastAll('budget_warning', crossed);
+      if (!crossed.exceeded) continue;
+
+      console.error(`[AgentRunner] ${crossed.scope} budget of $${crossed.limit} reached — interrupting running sessions`);
+      for (const id of this.active.keys()) {
+        if (id !== sessionId) this.interrupt(id);
+      }
+    }
+  }
+
+  /**
+   * The init message only says a server failed; ask the query why, and broadcast that.
+   */
+  async _refreshMcpStatus(sessionId, q) {
+    try {
+      const mcpStatus = (await q.mcpServerStatus()).map(({ name, status, error }) => ({ name, status, error: error || null }));
+      if (!store.get(sessionId)) return;
+      store.update(sessionId, { mcpStatus });
+      sse.broadcast(sessionId, 'mcp_status', { servers: mcpStatus });
+    } catch (err) {
+      // The query may have finished first; the init status stands
+      console.error('[AgentRunner] MCP status error:', err.message);
+    }
+  }
+
+  _queueView(item) {
+    return {
+      id: item.id,
+      text: item.text,
+      command: item.command?.command || null,
+      attachments: item.attachments.map(a => a.name),
+      createdAt: item.createdAt
+    };
+  }
+
+  /**
+   * Single-message input stream carrying the attachments ahead of the prompt text.
+   */
+  async *_streamingPrompt(sessionId, prompt, attachments) {
+    const content = attachments
+      .map(a => attachmentStore.toContentBlock(sessionId, a.id))
+      .filter(Boolean);
+    if (prompt) content.push({ type: 'text', text: prompt });
+
+    yield {
+      type: 'user',
+      message: { role: 'user', content },
+      parent_tool_use_id: null,
+      session_id: ''
+    };
+  }
+
   /**
    * Interrupt a running query.
    * @param {string} sessionId
@@ -262,6 +630,143 @@ class AgentRunner {
   isRunning(sessionId) {
     return this.active.has(sessionId);
   }
+
+  /**
+   * Switch the permission mode of a running query. Idle sessions pick the
+   * new mode up from the store on their next run. The SDK refuses a switch to
+   * bypassPermissions unless the query started in that mode.
+   * @param {string} sessionId
+   * @param {string} mode
+   * @returns {Promise<string|null>} Why the running query refused the switch, or null
+   */
+  async setPermissionMode(sessionId, mode) {
+    const q = this.queries.get(sessionId);
+    if (!q) return null;
+    try {
+      await q.setPermissionMode(mode);
+      return null;
+    } catch (err) {
+      console.error(`[AgentRunner] setPermissionMode failed for ${sessionId}:`, err.message);
+      return err.message;
+    }
+  }
+
+  /**
+   * Drop a session's "always allow" approvals, so matching tool calls ask again.
+   * @param {string} sessionId
+   */
+  forgetApprovals(sessionId) {
+    this.alwaysAllowed.delete(sessionId);
+  }
+
+  /**
+   * Answer a pending tool permission request.
+   * @param {string} sessionId
+   * @param {string} requestId
+   * @param {'allow'|'deny'|'always'} decision
+   * @param {string} [message] - Reason passed back to Claude on deny
+   * @returns {boolean} False if no such request is pending
+   */
+  resolvePermission(sessionId, requestId, decision, message) {
+    const entry = this.permissions.get(requestId);
+    if (!entry || entry.sessionId !== sessionId) return false;
+    entry.finish(decision, 'user', message);
+    return true;
+  }
+
+  /**
+   * List pending permission requests for a session.
+   * @param {string} sessionId
+   * @returns {object[]}
+   */
+  pendingPermissions(sessionId) {
+    return Array.from(this.permissions.values())
+      .filter(p => p.sessionId === sessionId)
+      .map(p => this._permissionView(p));
+  }
+
+  // ─── Internal ─────────────────────────────────────────────────
+
+  /**
+   * canUseTool callback — parks the tool call until the browser answers.
+   */
+  _requestPermission(sessionId, tool, input, { signal, suggestions, decisionReason, blockedPath, toolUseID }) {
+    return new Promise((resolve) => {
+      const requestId = uuid();
+
+      const finish = (decision, reason, message) => {
+        if (!this.permissions.has(requestId)) return;
+        this.permissions.delete(requestId);
+        clearTimeout(entry.timer);
+        signal?.removeEventListener('abort', onAbort);
+
+        sse.broadcast(sessionId, 'permission_resolved', { requestId, toolCallId: toolUseID, decision, reason });
+
+        if (decision === 'deny') {
+          resolve({
+            behavior: 'deny',
+            message: message || (reason === 'timeout' ? 'Permission request timed out' : 'User denied this tool call')
+          });
+          return;
+        }
+
+        const result = { behavior: 'allow', updatedInput: input };
+        if (decision === 'always' && suggestions) {
+          // The SDK applies its suggested rules for the rest of this run;
+          // later runs get them back through allowedTools
+          result.updatedPermissions = suggestions;
+          this._rememberRules(sessionId, suggestions);
+        }
+        resolve(result);
+      };
+
+      const onAbort = () => finish('deny', 'aborted');
+
+      const entry = {
+        requestId,
+        sessionId,
+        toolCallId: toolUseID,
+        tool,
+        input,
+        decisionReason,
+        blockedPath,
+        suggestions,
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + PERMISSION_TIMEOUT_MS).toISOString(),
+        finish,
+        timer: setTimeout(() => finish('deny', 'timeout'), PERMISSION_TIMEOUT_MS)
+      };
+
+      this.permissions.set(requestId, entry);
+      signal?.addEventListener('abort', onAbort, { once: true });
+      sse.broadcast(sessionId, 'permission_request', this._permissionView(entry));
+    });
+  }
+
+  /**
+   * Keep the allow rules from a set of SDK permission suggestions. Rules are
+   * as narrow as the SDK proposes (a command prefix, a directory), never the bare tool.
+   */
+  _rememberRules(sessionId, suggestions) {
+    const rules = allowRules(suggestions);
+    if (!rules.length) return;
+    if (!this.alwaysAllowed.has(sessionId)) this.alwaysAllowed.set(sessionId, new Set());
+    for (const rule of rules) this.alwaysAllowed.get(sessionId).add(rule);
+  }
+
+  _permissionView(entry) {
+    return {
+      requestId: entry.requestId,
+      toolCallId: entry.toolCallId,
+      tool: entry.tool,
+      input: entry.input,
+      decisionReason: entry.decisionReason,
+      blockedPath: entry.blockedPath,
+      alwaysRules: allowRules(entry.suggestions),
+      createdAt: entry.createdAt,
+      expiresAt: entry.expiresAt
+    };
+  }
 }
 
 export default new AgentRunner();
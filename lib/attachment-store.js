@@ -0,0 +1,143 @@
+/**
+ * Attachment Store
+ * Files uploaded into a session — screenshots, logs, PDFs — kept on disk
+ * under data/attachments/<sessionId>/ and turned into API content blocks.
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, rmSync, cpSync } from 'fs';
+import { join, dirname, basename } from 'path';
+import { fileURLToPath } from 'url';
+import { v4 as uuid } from 'uuid';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ATTACH_DIR = join(__dirname, '..', 'data', 'attachments');
+
+export const MAX_ATTACHMENT_BYTES = 20 * 1024 * 1024;
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+class AttachmentStore {
+  /**
+   * Store an uploaded file.
+   * @param {string} sessionId
+   * @param {object} file
+   * @param {string} file.name - Original filename
+   * @param {string} [file.mimeType] - Browser-reported MIME type
+   * @param {Buffer} file.data
+   * @returns {object|null} Attachment metadata, or null if the type isn't supported
+   */
+  save(sessionId, { name, mimeType, data }) {
+    const kind = this._kind(mimeType, data);
+    if (!kind) return null;
+
+    const meta = {
+      id: uuid(),
+      name: basename(name || 'file').slice(0, 200),
+      mimeType: kind === 'text' ? 'text/plain' : mimeType,
+      kind, // image | pdf | text
+      size: data.length,
+      createdAt: new Date().toISOString()
+    };
+
+    const dir = join(ATTACH_DIR, sessionId);
+    mkdirSync(dir, { recursive: true });
+    writeFileSync(join(dir, meta.id), data);
+    writeFileSync(join(dir, `${meta.id}.json`), JSON.stringify(meta));
+    return meta;
+  }
+
+  /**
+   * Get attachment metadata.
+   * @param {string} sessionId
+   * @param {string} id
+   * @returns {object|null}
+   */
+  get(sessionId, id) {
+    const file = this._metaFile(sessionId, id);
+    if (!file || !existsSync(file)) return null;
+    try {
+      return JSON.parse(readFileSync(file, 'utf-8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Absolute path of an attachment's bytes on disk.
+   * @param {string} sessionId
+   * @param {string} id
+   * @returns {string|null}
+   */
+  path(sessionId, id) {
+    return this.get(sessionId, id) ? join(ATTACH_DIR, sessionId, id) : null;
+  }
+
+  /**
+   * Build the API content block for an attachment.
+   * @param {string} sessionId
+   * @param {string} id
+   * @returns {object|null}
+   */
+  toContentBlock(sessionId, id) {
+    const meta = this.get(sessionId, id);
+    if (!meta) return null;
+    const data = readFileSync(join(ATTACH_DIR, sessionId, id));
+
+    if (meta.kind === 'image') {
+      return { type: 'image', source: { type: 'base64', media_type: meta.mimeType, data: data.toString('base64') } };
+    }
+    if (meta.kind === 'pdf') {
+      return { type: 'document', title: meta.name, source: { type: 'base64', media_type: 'application/pdf', data: data.toString('base64') } };
+    }
+    return { type: 'document', title: meta.name, source: { type: 'text', media_type: 'text/plain', data: data.toString('utf-8') } };
+  }
+
+  /**
+   * Copy a session's attachments to another session (forks keep their thumbnails).
+   * @param {string} fromId
+   * @param {string} toId
+   */
+  copySession(fromId, toId) {
+    const from = join(ATTACH_DIR, fromId);
+    if (!existsSync(from)) return;
+    try {
+      cpSync(from, join(ATTACH_DIR, toId), { recursive: true });
+    } catch (err) {
+      console.error('[AttachmentStore] Copy error:', err.message);
+    }
+  }
+
+  /**
+   * Remove all attachments of a deleted session.
+   * @param {string} sessionId
+   */
+  deleteSession(sessionId) {
+    try {
+      rmSync(join(ATTACH_DIR, sessionId), { recursive: true, force: true });
+    } catch (err) {
+      console.error('[AttachmentStore] Delete error:', err.message);
+    }
+  }
+
+  // ─── Internal ─────────────────────────────────────────────────
+
+  _metaFile(sessionId, id) {
+    // IDs are ours (uuids) — refuse anything that could walk the filesystem
+    if (!/^[\w-]+$/.test(sessionId) || !/^[\w-]+$/.test(id)) return null;
+    return join(ATTACH_DIR, sessionId, `${id}.json`);
+  }
+
+  _kind(mimeType, data) {
+    if (IMAGE_TYPES.includes(mimeType)) return 'image';
+    if (mimeType === 'application/pdf') return 'pdf';
+    // Anything that decodes as UTF-8 without NULs is treated as text (logs, source, JSON, CSV...)
+    if (data.includes(0)) return null;
+    try {
+      new TextDecoder('utf-8', { fatal: true }).decode(data);
+      return 'text';
+    } catch {
+      return null;
+    }
+  }
+}
+
+export default new AttachmentStore();
@@ -0,0 +1,245 @@
+/**
+ * Auth
+ * Password login with cookie sessions for the browser, bearer tokens for API clients.
+ * Secrets live in config.json as scrypt hashes — generate them with `npm run hash-secret`.
+ */
+
+import { scrypt, scryptSync, randomBytes, timingSafeEqual, createHash } from 'crypto';
+import { promisify } from 'util';
+import config from './config.js';
+
+const scryptAsync = promisify(scrypt);
+
+const COOKIE_NAME = 'cw_session';
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const FAILED_LOGIN_DELAY_MS = 1000; // Slows down password guessing
+const FREE_FAILURES = 5;                  // Failed logins/tokens per IP before backoff starts
+const MAX_LOCKOUT_MS = 15 * 60 * 1000;    // Backoff doubles per failure up to this
+const FAILURE_WINDOW_MS = 15 * 60 * 1000; // An IP's failure count resets after this long without one
+const FAILED_TOKEN_TTL_MS = 60 * 1000;    // Known-bad tokens are rejected without hashing for this long
+const MAX_TRACKED = 10000;                // Entries kept in each failure map
+const SALT_BYTES = 16;
+const KEY_BYTES = 32;
+
+/**
+ * Hash a password or token for storage in config.json.
+ * @param {string} secret
+ * @returns {string} "scrypt$<salt hex>$<hash hex>"
+ */
+export function hashSecret(secret) {
+  const salt = randomBytes(SALT_BYTES);
+  const hash = scryptSync(secret, salt, KEY_BYTES);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a secret against a stored hash in constant time. Hashing runs on the
+ * libuv thread pool, so a flood of guesses doesn't block the event loop.
+ * @param {string} secret
+ * @param {string} stored
+ * @returns {Promise<boolean>}
+ */
+export async function verifySecret(secret, stored) {
+  const parsed = parseHash(stored);
+  if (!parsed || typeof secret !== 'string') return false;
+  const actual = await scryptAsync(secret, parsed.salt, KEY_BYTES);
+  return timingSafeEqual(actual, parsed.hash);
+}
+
+/**
+ * Split a stored hash into salt and key. Buffer.from(.., 'hex') silently drops
+ * bad digits, and an empty key would match any secret, so the hex is checked first.
+ * @param {string} stored
+ * @returns {{salt: Buffer, hash: Buffer}|null} null if it isn't a hash hashSecret() made
+ */
+function parseHash(stored) {
+  const [scheme, saltHex, hashHex, ...rest] = String(stored || '').split('$');
+  const isHex = (s, bytes) => typeof s === 'string' && s.length === bytes * 2 && /^[0-9a-f]+$/i.test(s);
+  if (scheme !== 'scrypt' || rest.length || !isHex(saltHex, SALT_BYTES) || !isHex(hashHex, KEY_BYTES)) return null;
+  return { salt: Buffer.from(saltHex, 'hex'), hash: Buffer.from(hashHex, 'hex') };
+}
+
+class Auth {
+  constructor() {
+    const { passwordHash, tokenHashes } = config.auth || {};
+    this.passwordHash = passwordHash || null;
+    this.tokenHashes = tokenHashes || [];
+
+    // A malformed hash would lock everyone out (or worse); refuse to start instead
+    const bad = [];
+    if (this.passwordHash && !parseHash(this.passwordHash)) bad.push('auth.passwordHash');
+    this.tokenHashes.forEach((h, i) => { if (!parseHash(h)) bad.push(`auth.tokenHashes[${i}]`); });
+    if (bad.length) {
+      throw new Error(`config.json: ${bad.join(', ')} is not a valid hash — generate one with \`npm run hash-secret\``);
+    }
+    /** @type {Map<string, number>} Browser session token → expiry (ms) */
+    this.sessions = new Map();
+    /** @type {Set<string>} SHA-256 of bearer tokens already verified — scrypt is too slow per request */
+    this._verifiedTokens = new Set();
+    /** @type {Map<string, number>} SHA-256 of recently rejected tokens → when to forget them (ms) */
+    this._failedTokens = new Map();
+    /** @type {Map<string, {count: number, last: number, until: number}>} Failed attempts per client IP */
+    this._failures = new Map();
+  }
+
+  /** Whether any credential is configured. Without one the server is open. */
+  get enabled() {
+    return !!this.passwordHash || this.tokenHashes.length > 0;
+  }
+
+  /**
+   * Seconds a client must wait before its next login or token is checked,
+   * after too many failures. 0 if it isn't locked out.
+   * @param {string} ip
+   * @returns {number}
+   */
+  retryAfter(ip) {
+    const entry = this._failures.get(ip);
+    const wait = entry ? entry.until - Date.now() : 0;
+    return wait > 0 ? Math.ceil(wait / 1000) : 0;
+  }
+
+  /**
+   * Exchange the password for a browser session token.
+   * Callers check retryAfter() first; a locked-out IP is never hashed for.
+   * @param {string} password
+   * @param {string} ip - Client address, for backoff
+   * @returns {Promise<string|null>} Session token, or null if the password is wrong
+   */
+  async login(password, ip) {
+    if (this.passwordHash && await verifySecret(password, this.passwordHash)) {
+      this._failures.delete(ip);
+      const token = randomBytes(32).toString('hex');
+      this.sessions.set(token, Date.now() + SESSION_TTL_MS);
+      return token;
+    }
+    this._recordFailure(ip);
+    await new Promise(r => setTimeout(r, FAILED_LOGIN_DELAY_MS));
+    return null;
+  }
+
+  /**
+   * End a browser session.
+   * @param {import('express').Request} req
+   */
+  logout(req) {
+    const token = this._cookie(req);
+    if (token) this.sessions.delete(token);
+  }
+
+  /**
+   * Check a request for a valid session cookie or bearer token.
+   * Tokens from a locked-out IP are rejected without being checked.
+   * @param {import('express').Request} req
+   * @returns {Promise<boolean>}
+   */
+  async isAuthenticated(req) {
+    if (!this.enabled) return true;
+
+    const cookie = this._cookie(req);
+    if (cookie) {
+      const expires = this.sessions.get(cookie);
+      if (expires && expires > Date.now()) return true;
+      this.sessions.delete(cookie);
+    }
+
+    // EventSource can't send headers, so SSE clients may pass ?token= instead
+    const header = req.headers.authorization || '';
+    const bearer = header.startsWith('Bearer ') ? header.slice(7) : req.query.token;
+    return bearer ? this._checkToken(String(bearer), req.ip) : false;
+  }
+
+  /**
+   * Express middleware rejecting unauthenticated requests with 401,
+   * or 429 while the client is backing off after repeated failures.
+   * @returns {import('express').RequestHandler}
+   */
+  middleware() {
+    return async (req, res, next) => {
+      if (await this.isAuthenticated(req)) return next();
+      // Path only — the query string may carry the rejected ?token=
+      console.warn(`[Auth] Rejected ${req.method} ${req.baseUrl}${req.path} from ${req.ip}`);
+      const wait = this.retryAfter(req.ip);
+      if (wait) {
+        res.set('Retry-After', String(wait));
+        return res.status(429).json({ error: 'Too many failed attempts — try again later' });
+      }
+      res.status(401).json({ error: 'Authentication required' });
+    };
+  }
+
+  /**
+   * Set the session cookie on a response.
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {string} token
+   */
+  setCookie(req, res, token) {
+    const secure = req.secure || req.headers['x-forwarded-proto'] === 'https';
+    res.setHeader('Set-Cookie', `${COOKIE_NAME}=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${SESSION_TTL_MS / 1000}${secure ? '; Secure' : ''}`);
+  }
+
+  /**
+   * Clear the session cookie.
+   * @param {import('express').Response} res
+   */
+  clearCookie(res) {
+    res.setHeader('Set-Cookie', `${COOKIE_NAME}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`);
+  }
+
+  // ─── Internal ─────────────────────────────────────────────────
+
+  _cookie(req) {
+    const header = req.headers.cookie || '';
+    for (const part of header.split(';')) {
+      const [name, ...rest] = part.trim().split('=');
+      if (name === COOKIE_NAME) return rest.join('=');
+    }
+    return null;
+  }
+
+  async _checkToken(token, ip) {
+    const digest = createHash('sha256').update(token).digest('hex');
+    if (this._verifiedTokens.has(digest)) return true;
+    if (this.retryAfter(ip)) return false;
+
+    const now = Date.now();
+    if ((this._failedTokens.get(digest) || 0) > now) {
+      this._recordFailure(ip);
+      return false;
+    }
+
+    for (const hash of this.tokenHashes) {
+      if (await verifySecret(token, hash)) {
+        this._verifiedTokens.add(digest);
+        this._failures.delete(ip);
+        return true;
+      }
+    }
+    this._remember(this._failedTokens, digest, now + FAILED_TOKEN_TTL_MS);
+    this._recordFailure(ip);
+    return false;
+  }
+
+  /**
+   * Count a failed attempt; past FREE_FAILURES the IP waits 1s, 2s, 4s, ...
+   * before its next attempt is checked.
+   */
+  _recordFailure(ip) {
+    const now = Date.now();
+    const prev = this._failures.get(ip);
+    const count = prev && now - prev.last < FAILURE_WINDOW_MS ? prev.count + 1 : 1;
+    const excess = count - FREE_FAILURES;
+    const until = excess > 0 ? now + Math.min(1000 * 2 ** (excess - 1), MAX_LOCKOUT_MS) : 0;
+    this._remember(this._failures, ip, { count, last: now, until });
+  }
+
+  /** Map.set that evicts the oldest entry once the map is full. */
+  _remember(map, key, value) {
+    map.delete(key);
+    map.set(key, value);
+    if (map.size > MAX_TRACKED) map.delete(map.keys().next().value);
+  }
+}
+
+export default new Auth();
@@ -0,0 +1,152 @@
+/**
+ * Budget
+ * USD spend limits per session (config default or per-session override) and
+ * across all sessions per day and month. Daily spend is kept in data/spend.json
+ * so the global limits survive restarts.
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import config from './config.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = join(__dirname, '..', 'data');
+const SPEND_FILE = join(DATA_DIR, 'spend.json');
+
+const KEEP_DAYS = 400; // Enough history for the current month and then some
+
+class Budget {
+  constructor() {
+    /** @type {Object<string, number>} YYYY-MM-DD → USD spent */
+    this.days = {};
+    /** @type {Map<string, number>} `${scope}:${period}` → highest warning fraction already sent */
+    this._warned = new Map();
+    this._load();
+  }
+
+  _load() {
+    try {
+      if (existsSync(SPEND_FILE)) this.days = JSON.parse(readFileSync(SPEND_FILE, 'utf-8')).days || {};
+    } catch {
+      // Start fresh if file is corrupted
+    }
+  }
+
+  _save() {
+    try {
+      mkdirSync(DATA_DIR, { recursive: true });
+      writeFileSync(SPEND_FILE, JSON.stringify({ days: this.days }, null, 2));
+    } catch (err) {
+      console.error('[Budget] Save error:', err.message);
+    }
+  }
+
+  /**
+   * Spend and limit for each scope that applies to a session.
+   * @param {object} session
+   * @returns {object[]} {scope: 'session'|'daily'|'monthly', spent, limit}
+   */
+  status(session) {
+    const limit = session.budgetUsd ?? config.budgets.sessionUsd;
+    const scopes = limit != null ? [{ scope: 'session', spent: session.totalCost || 0, limit }] : [];
+    return [...scopes, ...this.globalStatus()];
+  }
+
+  /**
+   * Spend and limit for the daily and monthly scopes that have a limit set.
+   * @returns {object[]} {scope: 'daily'|'monthly', spent, limit}
+   */
+  globalStatus() {
+    const budgets = config.budgets;
+    const { day, month } = this._periods();
+    const scopes = [
+      { scope: 'daily', spent: this.days[day] || 0, limit: budgets.dailyUsd },
+      { scope: 'monthly', spent: this._monthTotal(month), limit: budgets.monthlyUsd }
+    ];
+    return scopes.filter(s => s.limit != null);
+  }
+
+  /**
+   * The first limit a session has hit, if any.
+   * @param {object} session
+   * @returns {object|null} {scope, spent, limit}
+   */
+  exceeded(session) {
+    return this.status(session).find(s => s.spent >= s.limit) || null;
+  }
+
+  /**
+   * Tightest remaining headroom, for the SDK's maxBudgetUsd.
+   * @param {object} session
+   * @returns {number|null} USD, or null when no limit applies
+   */
+  remaining(session) {
+    const left = this.status(session).map(s => Math.max(0, s.limit - s.spent));
+    return left.length ? Math.min(...left) : null;
+  }
+
+  /**
+   * Record spend from a finished turn. Call after the session's totalCost is updated.
+   * @param {object} session
+   * @param {number} cost - USD for this turn
+   * @returns {object[]} Thresholds newly crossed: {scope, spent, limit, fraction, exceeded}
+   */
+  record(session, cost) {
+    if (cost > 0) {
+      const { day } = this._periods();
+      this.days[day] = (this.days[day] || 0) + cost;
+      this._prune();
+      this._save();
+    }
+
+    const { day, month } = this._periods();
+    const periodOf = { session: session.id, daily: day, monthly: month };
+    const crossed = [];
+
+    for (const s of this.status(session)) {
+      const fraction = s.limit > 0 ? s.spent / s.limit : 1;
+      const reached = [...config.budgets.warnAt, 1].filter(t => fraction >= t);
+      if (reached.length === 0) continue;
+
+      const key = `${s.scope}:${periodOf[s.scope]}`;
+      const top = Math.max(...reached);
+      if (top <= (this._warned.get(key) || 0)) continue;
+      this._warned.set(key, top);
+      crossed.push({ ...s, fraction: top, exceeded: top >= 1 });
+    }
+    return crossed;
+  }
+
+  /**
+   * Forget sent warnings for a session (its limit was raised, or it was deleted).
+   * @param {string} sessionId
+   */
+  resetSession(sessionId) {
+    this._warned.delete(`session:${sessionId}`);
+  }
+
+  // ─── Internal ─────────────────────────────────────────────────
+
+  _periods() {
+    const day = new Date().toISOString().slice(0, 10);
+    return { day, month: day.slice(0, 7) };
+  }
+
+  _monthTotal(month) {
+    let total = 0;
+    for (const [day, usd] of Object.entries(this.days)) {
+      if (day.startsWith(month)) total += usd;
+    }
+    return total;
+  }
+
+  _prune() {
+    const days = Object.keys(this.days).sort();
+    for (const day of days.slice(0, Math.max(0, days.length - KEEP_DAYS))) {
+      delete this.days[day];
+    }
+  }
+}
+
+export default new Budget();
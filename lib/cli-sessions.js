@@ -0,0 +1,221 @@
+/**
+ * CLI Sessions
+ * Reads the Claude Code CLI's own transcripts (~/.claude/projects/<cwd>/<id>.jsonl)
+ * so terminal conversations can be listed and continued in the browser.
+ */
+
+import { readFileSync, readdirSync, statSync, existsSync, openSync, readSync, closeSync } from 'fs';
+import { join } from 'path';
+import { homedir } from 'os';
+import { v4 as uuid } from 'uuid';
+
+const CLAUDE_DIR = process.env.CLAUDE_CONFIG_DIR || join(homedir(), '.claude');
+const PROJECTS_DIR = join(CLAUDE_DIR, 'projects');
+
+const MAX_LISTED = 100;       // Most recent transcripts per directory
+const HEAD_BYTES = 64 * 1024; // Read from the top of each transcript to find its first prompt
+const MAX_CACHED = 1000;      // Transcript summaries kept, keyed by path and mtime
+
+// CLI bookkeeping that shows up as user turns: slash-command wrappers, local command output
+const NOISE_PREFIXES = ['<command-name>', '<command-message>', '<local-command-stdout>', '<local-command-stderr>', 'Caveat:'];
+
+/**
+ * Visible text of a user transcript entry, or '' for tool results and CLI bookkeeping.
+ * @param {object} entry - Parsed transcript line
+ * @returns {string}
+ */
+function userText(entry) {
+  const content = entry.message.content;
+  const blocks = typeof content === 'string' ? [{ type: 'text', text: content }] : content || [];
+  const text = blocks.filter(b => b.type === 'text').map(b => b.text).join('\n').trim();
+  return text && !NOISE_PREFIXES.some(p => text.startsWith(p)) ? text : '';
+}
+
+class CliSessions {
+  constructor() {
+    /** @type {Map<string, {mtime: number, summary: object|null}>} Transcript path → summary as of mtime */
+    this._summaries = new Map();
+  }
+
+  /**
+   * List CLI transcripts recorded for a working directory, newest first.
+   * Only the top of each file is read; summaries are cached until the file changes.
+   * @param {string} cwd
+   * @returns {object[]} {sessionId, firstPrompt, startedAt, updatedAt, size}
+   */
+  list(cwd) {
+    const dir = this._projectDir(cwd);
+    if (!existsSync(dir)) return [];
+
+    let files;
+    try {
+      files = readdirSync(dir)
+        .filter(f => f.endsWith('.jsonl'))
+        .map(f => ({ file: f, ...this._stat(join(dir, f)) }))
+        .filter(f => f.mtime)
+        .sort((a, b) => b.mtime - a.mtime)
+        .slice(0, MAX_LISTED);
+    } catch (err) {
+      console.error('[CliSessions] Scan error:', err.message);
+      return [];
+    }
+
+    const sessions = [];
+    for (const { file, mtime, size } of files) {
+      const summary = this._summary(join(dir, file), mtime);
+      if (!summary) continue;
+      sessions.push({
+        sessionId: file.slice(0, -'.jsonl'.length),
+        ...summary,
+        updatedAt: new Date(mtime).toISOString(),
+        size
+      });
+    }
+    return sessions;
+  }
+
+  /**
+   * Rebuild a CLI transcript in the message shape AgentRunner stores.
+   * @param {string} cwd
+   * @param {string} sessionId - CLI (SDK) session ID
+   * @returns {object[]|null} Messages, or null if there's no such transcript
+   */
+  read(cwd, sessionId) {
+    if (!/^[\w-]+$/.test(sessionId)) return null;
+    const file = join(this._projectDir(cwd), `${sessionId}.jsonl`);
+    if (!existsSync(file)) return null;
+
+    let raw;
+    try {
+      raw = readFileSync(file, 'utf-8');
+    } catch (err) {
+      console.error('[CliSessions] Read error:', err.message);
+      return null;
+    }
+
+    const messages = [];
+    let assistant = null; // The CLI writes one line per content block; merge by API message ID
+
+    for (const line of raw.split('\n')) {
+      if (!line) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      // Subagent turns and injected context aren't part of the visible conversation
+      if (entry.isSidechain || entry.isMeta || !entry.message) continue;
+
+      if (entry.type === 'assistant') {
+        const apiMsg = entry.message;
+        if (!assistant || assistant.apiId !== apiMsg.id) {
+          assistant = {
+            apiId: apiMsg.id,
+            msg: { id: uuid(), sdkUuid: entry.uuid, role: 'assistant', content: [], toolCalls: [], timestamp: entry.timestamp }
+          };
+          messages.push(assistant.msg);
+        }
+        assistant.msg.sdkUuid = entry.uuid; // Resume point is the last block
+        for (const block of apiMsg.content || []) {
+          if (block.type === 'text') {
+            assistant.msg.content.push({ type: 'text', text: block.text });
+          } else if (block.type === 'thinking') {
+            assistant.msg.content.push({ type: 'thinking', thinking: block.thinking });
+          } else if (block.type === 'tool_use') {
+            assistant.msg.toolCalls.push({ id: block.id, tool: block.name, input: block.input });
+          }
+        }
+      } else if (entry.type === 'user') {
+        assistant = null;
+        const content = entry.message.content;
+        const blocks = typeof content === 'string' ? [{ type: 'text', text: content }] : content || [];
+
+        const text = userText(entry);
+        if (text) messages.push({ id: uuid(), role: 'user', content: text, timestamp: entry.timestamp });
+
+        for (const block of blocks) {
+          if (block.type !== 'tool_result') continue;
+          const output = typeof block.content === 'string'
+            ? block.content
+            : Array.isArray(block.content)
+              ? block.content.map(c => c.type === 'text' ? c.text : '').join('')
+              : '';
+          messages.push({
+            id: uuid(),
+            role: 'tool',
+            toolCallId: block.tool_use_id,
+            output,
+            isError: block.is_error || false,
+            timestamp: entry.timestamp
+          });
+        }
+      }
+    }
+    return messages;
+  }
+
+  // ─── Internal ─────────────────────────────────────────────────
+
+  _stat(path) {
+    try {
+      const { mtimeMs, size } = statSync(path);
+      return { mtime: mtimeMs, size };
+    } catch {
+      return { mtime: 0, size: 0 };
+    }
+  }
+
+  /**
+   * First prompt and start time from the head of a transcript, cached by mtime.
+   * @returns {{firstPrompt: string, startedAt: string|null}|null} null if the head has no conversation
+   */
+  _summary(path, mtime) {
+    const cached = this._summaries.get(path);
+    if (cached?.mtime === mtime) return cached.summary;
+
+    let head = '';
+    try {
+      const fd = openSync(path, 'r');
+      try {
+        const buf = Buffer.alloc(HEAD_BYTES);
+        head = buf.toString('utf-8', 0, readSync(fd, buf, 0, HEAD_BYTES, 0));
+      } finally {
+        closeSync(fd);
+      }
+    } catch (err) {
+      console.error('[CliSessions] Read error:', err.message);
+      return null;
+    }
+
+    let startedAt = null;
+    let firstPrompt = null;
+    let conversation = false;
+    for (const line of head.split('\n')) {
+      let entry;
+      try {
+        entry = JSON.parse(line); // The last line is usually cut off; it's skipped here
+      } catch {
+        continue;
+      }
+      if (entry.isSidechain || entry.isMeta || !entry.message) continue;
+      startedAt ??= entry.timestamp || null;
+      conversation = true;
+      if (entry.type === 'user') firstPrompt = userText(entry) || null;
+      if (firstPrompt) break;
+    }
+
+    const summary = conversation ? { firstPrompt: (firstPrompt || '').slice(0, 200), startedAt } : null;
+    this._summaries.delete(path);
+    this._summaries.set(path, { mtime, summary });
+    if (this._summaries.size > MAX_CACHED) this._summaries.delete(this._summaries.keys().next().value);
+    return summary;
+  }
+
+  /** The CLI names each project folder after its cwd with every non-alphanumeric replaced by '-'. */
+  _projectDir(cwd) {
+    return join(PROJECTS_DIR, cwd.replace(/[^a-zA-Z0-9]/g, '-'));
+  }
+}
+
+export default new CliSessions();
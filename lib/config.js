@@ -0,0 +1,48 @@
+/**
+ * Config
+ * Loads config.json once at startup and fills in defaults.
+ */
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const CONFIG_FILE = join(__dirname, '..', 'config.json');
+
+const DEFAULTS = {
+  name: 'Claude Web',
+  tagline: 'Claude Code in a browser window.',
+  defaultCwd: '',
+  workspaceRoots: [], // Folders the cwd picker can browse; empty = defaultCwd or home
+  defaultModel: 'claude-sonnet-4-5-20250929',
+  auth: {},
+  budgets: {
+    sessionUsd: null,   // Default per-session limit; sessions can override
+    dailyUsd: null,     // Across all sessions, per UTC day
+    monthlyUsd: null,   // Across all sessions, per UTC month
+    warnAt: [0.5, 0.8], // Fractions of a limit that trigger a warning
+    maxTurns: null      // Default agentic turns per prompt; sessions can override
+  }
+};
+
+let loaded = {};
+try {
+  loaded = JSON.parse(readFileSync(CONFIG_FILE, 'utf-8'));
+} catch {
+  // Missing or invalid config — run with defaults
+}
+
+const config = { ...DEFAULTS, ...loaded };
+config.budgets = { ...DEFAULTS.budgets, ...loaded.budgets };
+
+/**
+ * Config fields that are safe to send to the browser.
+ * @returns {object}
+ */
+export function publicConfig() {
+  const { auth, ...rest } = config;
+  return rest;
+}
+
+export default config;
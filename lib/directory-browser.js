@@ -0,0 +1,113 @@
+/**
+ * Directory Browser
+ * Folder picker behind the New Session modal: subfolders of the configured
+ * workspace roots, plus the working directories of recent sessions. Each
+ * folder is flagged when it's a git repository or has Claude project
+ * settings (.claude/), since those are the likely picks.
+ */
+
+import { readdirSync, statSync, existsSync } from 'fs';
+import { resolve, dirname, basename, join, isAbsolute } from 'path';
+import { homedir } from 'os';
+import config from './config.js';
+import workspace from './workspace.js';
+
+const MAX_ENTRIES = 500;  // Subfolders per listing
+const MAX_RECENT = 8;
+
+class DirectoryBrowser {
+  /**
+   * Directories the picker may browse: config.workspaceRoots or, when none
+   * are configured, defaultCwd if it exists and the home directory if not.
+   * @returns {string[]} Absolute paths that exist
+   */
+  roots() {
+    const existing = (paths) => paths.filter(Boolean).map(p => resolve(p)).filter(p => this._isDirectory(p));
+    if (config.workspaceRoots.length) return existing(config.workspaceRoots);
+    return existing([config.defaultCwd, homedir()]).slice(0, 1);
+  }
+
+  /**
+   * Whether a path is absolute and lies under one of the roots (symlinks included).
+   * @param {string} path
+   * @returns {boolean}
+   */
+  allowed(path) {
+    return isAbsolute(path) && this.roots().some(root => workspace.resolve(root, path));
+  }
+
+  /**
+   * Starting point for the picker.
+   * @param {object[]} sessions - store.list()
+   * @returns {{roots: object[], recent: object[]}} Folders as {name, path, git, claude}
+   */
+  overview(sessions) {
+    const recent = [];
+    const byActivity = [...sessions].sort((a, b) => (b.lastActiveAt || '').localeCompare(a.lastActiveAt || ''));
+    for (const s of byActivity) {
+      if (recent.length >= MAX_RECENT) break;
+      const path = resolve(s.cwd);
+      if (recent.some(r => r.path === path) || !this._isDirectory(path)) continue;
+      recent.push(this.describe(path));
+    }
+    return { roots: this.roots().map(p => this.describe(p)), recent };
+  }
+
+  /**
+   * Subfolders of a directory under one of the roots. Hidden folders are skipped.
+   * @param {string} path - Absolute path
+   * @returns {object|null} {...describe(path), parent, entries, truncated}; parent is null at a root.
+   *   null if the path isn't a readable directory.
+   */
+  list(path) {
+    const dir = resolve(path);
+    let names;
+    try {
+      names = readdirSync(dir);
+    } catch {
+      return null;
+    }
+
+    const entries = [];
+    for (const name of names) {
+      if (name.startsWith('.')) continue;
+      const full = join(dir, name);
+      if (this._isDirectory(full)) entries.push(this.describe(full));
+    }
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+
+    const parent = dirname(dir);
+    return {
+      ...this.describe(dir),
+      parent: this.roots().includes(dir) || parent === dir || !this.allowed(parent) ? null : parent,
+      entries: entries.slice(0, MAX_ENTRIES),
+      truncated: entries.length > MAX_ENTRIES
+    };
+  }
+
+  /**
+   * Name, path and project markers of one directory.
+   * @param {string} path - Absolute path
+   * @returns {{name: string, path: string, git: boolean, claude: boolean}}
+   */
+  describe(path) {
+    return {
+      name: basename(path) || path,
+      path,
+      git: existsSync(join(path, '.git')),
+      claude: existsSync(join(path, '.claude'))
+    };
+  }
+
+  // ─── Internal ─────────────────────────────────────────────────
+
+  _isDirectory(path) {
+    try {
+      return statSync(path).isDirectory();
+    } catch {
+      return false;
+    }
+  }
+}
+
+export default new DirectoryBrowser();
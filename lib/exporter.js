@@ -0,0 +1,282 @@
+/**
+ * Exporter
+ * Renders a session transcript — messages, tool calls with their output,
+ * and per-turn cost — as Markdown, a standalone HTML page, or JSON.
+ */
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { Marked } from 'marked';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PUBLIC_DIR = join(__dirname, '..', 'public');
+
+export const EXPORT_FORMATS = ['md', 'html', 'json'];
+
+const CONTENT_TYPES = {
+  md: 'text/markdown; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+  json: 'application/json; charset=utf-8'
+};
+
+/** Escape text for HTML content and quoted attributes (same rules as CbUtils.escapeAttr). */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Same Markdown dialect as the browser's ChatRenderer (marked, GFM, single newlines
+// break). The export is a standalone file, so raw HTML is shown as text and only
+// http(s) links survive.
+const markdown = new Marked({
+  gfm: true,
+  breaks: true,
+  renderer: {
+    html: (html) => escapeHtml(html),
+    link: (href, title, text) => /^https?:\/\//i.test(href || '')
+      ? `<a href="${escapeHtml(href)}"${title ? ` title="${escapeHtml(title)}"` : ''}>${text}</a>`
+      : text,
+    image: (href, title, text) => escapeHtml(text || href || '')
+  }
+});
+
+class Exporter {
+  /**
+   * Render a session in one of EXPORT_FORMATS.
+   * @param {object} session
+   * @param {object[]} messages - Full history, including tool and result entries
+   * @param {string} format
+   * @returns {{body: string, contentType: string, filename: string}}
+   */
+  render(session, messages, format) {
+    const body = format === 'md' ? this.toMarkdown(session, messages)
+      : format === 'html' ? this.toHtml(session, messages)
+      : this.toJson(session, messages);
+
+    const slug = (session.name || 'session').replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '') || 'session';
+    return { body, contentType: CONTENT_TYPES[format], filename: `${slug}.${format}` };
+  }
+
+  toJson(session, messages) {
+    return JSON.stringify({
+      session: this._meta(session),
+      exportedAt: new Date().toISOString(),
+      messages
+    }, null, 2);
+  }
+
+  toMarkdown(session, messages) {
+    const results = this._toolResults(messages);
+    const meta = this._meta(session);
+    const out = [
+      `# ${session.name}`,
+      '',
+      `- **Working directory:** \`${meta.cwd}\``,
+      `- **Model:** ${meta.model}`,
+      `- **Total cost:** $${meta.totalCost.toFixed(4)}`,
+      `- **Exported:** ${new Date().toISOString()}`,
+      ''
+    ];
+
+    for (const msg of messages) {
+      if (msg.role === 'user') {
+        out.push('---', '', '### You', '', msg.content || '');
+        if (msg.attachments?.length) {
+          out.push('', `_Attachments: ${msg.attachments.map(a => a.name).join(', ')}_`);
+        }
+        out.push('');
+      } else if (msg.role === 'assistant') {
+        out.push(msg.parentToolUseId ? '#### Subagent' : '### Claude', '');
+        const thinking = this._blocks(msg, 'thinking');
+        if (thinking) {
+          out.push('<details><summary>Thinking</summary>', '', thinking, '', '</details>', '');
+        }
+        const text = this._blocks(msg, 'text');
+        if (text) out.push(text, '');
+
+        for (const tc of msg.toolCalls || []) {
+          const result = results.get(tc.id);
+          const summary = this._toolSummary(tc.tool, tc.input);
+          out.push(`**${tc.tool}**${summary ? ` \`${summary.replace(/`/g, "'")}\`` : ''}${result?.isError ? ' — error' : ''}`, '');
+          out.push('<details><summary>Input / output</summary>', '');
+          out.push(this._fence(JSON.stringify(tc.input ?? null, null, 2), 'json'), '');
+          if (result) out.push(this._fence(result.output || ''), '');
+          out.push('</details>', '');
+        }
+      } else if (msg.role === 'result') {
+        out.push(`> ${this._resultLine(msg)}`, '');
+      }
+    }
+
+    return out.join('\n');
+  }
+
+  toHtml(session, messages) {
+    const results = this._toolResults(messages);
+    const meta = this._meta(session);
+    const esc = escapeHtml;
+    const css = ['cybertron.css', 'app.css']
+      .map(f => {
+        try {
+          return readFileSync(join(PUBLIC_DIR, f), 'utf-8');
+        } catch {
+          return '';
+        }
+      })
+      .join('\n');
+
+    let body = '';
+    for (const msg of messages) {
+      if (msg.role === 'user') {
+        const files = (msg.attachments || [])
+          .map(a => `<span class="cw-attachment-file">&#128196; ${esc(a.name)}</span>`)
+          .join('');
+        body += `<div class="cw-msg cw-msg-user">
+          <div class="cw-msg-label">You</div>
+          ${files ? `<div class="cw-msg-attachments">${files}</div>` : ''}
+          <div class="cw-msg-content">${markdown.parse(msg.content || '')}</div>
+        </div>`;
+      } else if (msg.role === 'assistant') {
+        const thinking = this._blocks(msg, 'thinking');
+        const text = this._blocks(msg, 'text');
+        let html = `<div class="cw-msg-label">${msg.parentToolUseId ? 'Subagent' : 'Claude'}</div>`;
+        if (thinking) {
+          html += `<div class="cw-reasoning">
+            <div class="cw-reasoning-header" onclick="this.parentElement.classList.toggle('expanded')">
+              <span class="cw-tool-arrow">&#9654;</span><span class="cw-reasoning-label">Thinking</span>
+            </div>
+            <div class="cw-reasoning-body">${esc(thinking)}</div>
+          </div>`;
+        }
+        if (text) html += `<div class="cw-msg-content">${markdown.parse(text)}</div>`;
+
+        for (const tc of msg.toolCalls || []) {
+          const result = results.get(tc.id);
+          const dot = result?.isError ? 'cb-dot-error' : 'cb-dot-success';
+          html += `<div class="cw-tool-card" onclick="this.classList.toggle('expanded')">
+            <div class="cw-tool-header">
+              <span class="cw-tool-arrow">&#9654;</span>
+              <span class="cw-tool-name">${esc(tc.tool)}</span>
+              <span class="cw-tool-summary">${esc(this._toolSummary(tc.tool, tc.input))}</span>
+              <span class="cw-tool-status"><span class="cb-dot cb-dot-sm ${dot}"></span></span>
+            </div>
+            <div class="cw-tool-body" onclick="event.stopPropagation()">
+              <div class="cw-tool-section">
+                <div class="cw-tool-section-label">Input</div>
+                <pre>${esc(JSON.stringify(tc.input ?? null, null, 2))}</pre>
+              </div>
+              ${result ? `<div class="cw-tool-section">
+                <div class="cw-tool-section-label">Output</div>
+                <pre>${esc(result.output || '')}</pre>
+              </div>` : ''}
+            </div>
+          </div>`;
+        }
+        body += `<div class="cw-msg cw-msg-assistant">${html}</div>`;
+      } else if (msg.role === 'result') {
+        body += this._resultHtml(msg);
+      }
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${esc(session.name)}</title>
+<style>
+${css}
+body { overflow: auto; height: auto; }
+.cw-export { max-width: 900px; margin: 0 auto; padding: 24px 16px; }
+.cw-export-meta { margin-bottom: 24px; color: var(--cb-text-secondary); font-size: 0.8rem; }
+.cw-export-meta h1 { color: var(--cb-text); font-size: 1.2rem; margin-bottom: 8px; }
+</style>
+</head>
+<body>
+<div class="cw-export">
+  <div class="cw-export-meta">
+    <h1>${esc(session.name)}</h1>
+    <div>${esc(meta.cwd)} &middot; ${esc(meta.model)} &middot; $${meta.totalCost.toFixed(4)} &middot; exported ${esc(new Date().toISOString())}</div>
+  </div>
+  <div class="cw-messages active">
+${body}
+  </div>
+</div>
+</body>
+</html>
+`;
+  }
+
+  // ─── Internal ─────────────────────────────────────────────────
+
+  _meta(session) {
+    return {
+      id: session.id,
+      name: session.name,
+      cwd: session.cwd,
+      model: session.model,
+      totalCost: session.totalCost || 0,
+      totalInputTokens: session.totalInputTokens || 0,
+      totalOutputTokens: session.totalOutputTokens || 0,
+      createdAt: session.createdAt
+    };
+  }
+
+  /** Tool outputs keyed by tool call ID. */
+  _toolResults(messages) {
+    return new Map(messages.filter(m => m.role === 'tool').map(m => [m.toolCallId, m]));
+  }
+
+  _blocks(msg, type) {
+    return (msg.content || [])
+      .filter(c => c.type === type)
+      .map(c => type === 'thinking' ? c.thinking : c.text)
+      .join(type === 'thinking' ? '\n\n' : '');
+  }
+
+  /** One-line summary of a tool call, as ChatRenderer.toolSummary shows it in the browser. */
+  _toolSummary(tool, input) {
+    if (!input) return '';
+    if (typeof input === 'string') return input.split('\n')[0].slice(0, 80);
+    const value = tool === 'Grep' && input.pattern
+      ? `"${input.pattern}"` + (input.path ? ` in ${input.path}` : '')
+      : input.file_path || input.command || input.pattern || input.url || input.query || input.description
+        || Object.values(input).find(v => typeof v === 'string') || '';
+    return String(value).split('\n')[0].slice(0, 80);
+  }
+
+  _resultLine(result) {
+    const parts = [
+      `$${(result.cost || 0).toFixed(4)}`,
+      `${((result.duration || 0) / 1000).toFixed(1)}s`,
+      `${(result.usage?.input || 0).toLocaleString()} in / ${(result.usage?.output || 0).toLocaleString()} out`,
+      `${result.numTurns || 0} turns`
+    ];
+    return (result.isError ? 'Failed — ' : 'Done — ') + parts.join(' · ');
+  }
+
+  _resultHtml(result) {
+    const item = (label, value) => `<div class="cw-result-item"><span class="cw-result-label">${label}:</span> <span class="cw-result-value">${value}</span></div>`;
+    return `<div class="cw-result${result.isError ? ' error' : ''}">
+      ${item('Cost', '$' + (result.cost || 0).toFixed(4))}
+      ${item('Duration', ((result.duration || 0) / 1000).toFixed(1) + 's')}
+      ${item('In', (result.usage?.input || 0).toLocaleString())}
+      ${item('Out', (result.usage?.output || 0).toLocaleString())}
+      ${item('Turns', result.numTurns || 0)}
+    </div>`;
+  }
+
+  /** Code fence longer than any backtick run in the text, so output can't break out. */
+  _fence(text, lang = '') {
+    const longest = Math.max(2, ...(text.match(/`+/g) || []).map(r => r.length));
+    const fence = '`'.repeat(longest + 1);
+    return `${fence}${lang}\n${text}\n${fence}`;
+  }
+}
+
+export default new Exporter();
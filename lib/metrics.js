@@ -0,0 +1,154 @@
+/**
+ * Metrics
+ * Counters, gauges and histograms rendered in the Prometheus text exposition
+ * format for GET /metrics. Modules increment what they own; point-in-time
+ * values (active runs, connected clients) are read at scrape time through
+ * collectors registered with onCollect().
+ */
+
+import { monitorEventLoopDelay } from 'perf_hooks';
+
+const PREFIX = 'claude_web_';
+const LOOP_RESOLUTION_MS = 10;
+
+// Seconds — tool calls range from a quick Read to a long Bash or an unanswered approval
+const TOOL_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+const DEFINITIONS = {
+  queries_total: { type: 'counter', help: 'Agent queries finished, by outcome (completed, failed, interrupted)' },
+  active_runs: { type: 'gauge', help: 'Agent queries currently running' },
+  tool_calls_total: { type: 'counter', help: 'Tool calls that returned a result, by tool and status' },
+  tool_duration_seconds: { type: 'histogram', help: 'Time from tool call to tool result, by tool', buckets: TOOL_BUCKETS },
+  tokens_total: { type: 'counter', help: 'Tokens used, by model and type (input, output, cache_read, cache_create)' },
+  cost_usd_total: { type: 'counter', help: 'Reported spend in USD, by model' },
+  sse_clients: { type: 'gauge', help: 'Connected SSE clients, by session' },
+  sse_events_total: { type: 'counter', help: 'SSE events broadcast, by event type' },
+  sessions: { type: 'gauge', help: 'Sessions, by status' },
+  messages_stored_total: { type: 'counter', help: 'Messages appended to session history, by role' },
+  event_loop_lag_seconds: { type: 'gauge', help: 'Event loop delay since the previous scrape, by quantile' },
+  uptime_seconds: { type: 'gauge', help: 'Seconds since the server started' }
+};
+
+class Metrics {
+  constructor() {
+    /** @type {Map<string, Map<string, object>>} metric name → label key → {labels, value | buckets/sum/count} */
+    this.values = new Map(Object.keys(DEFINITIONS).map(name => [name, new Map()]));
+    /** @type {Function[]} Called before each render to refresh gauges */
+    this._collectors = [];
+
+    this._loopDelay = monitorEventLoopDelay({ resolution: LOOP_RESOLUTION_MS });
+    this._loopDelay.enable();
+    this.onCollect(() => {
+      // Samples include the sampling timer's own interval; report only the lag beyond it
+      const lag = (ns) => Math.max(0, ns / 1e6 - LOOP_RESOLUTION_MS) / 1000;
+      for (const q of [0.5, 0.9, 0.99]) {
+        this.set('event_loop_lag_seconds', { quantile: String(q) }, lag(this._loopDelay.percentile(q * 100)));
+      }
+      this.set('event_loop_lag_seconds', { quantile: '1' }, lag(this._loopDelay.max));
+      this._loopDelay.reset();
+      this.set('uptime_seconds', {}, process.uptime());
+    });
+  }
+
+  /**
+   * Add to a counter.
+   * @param {string} name - Key of DEFINITIONS (without prefix)
+   * @param {object} [labels]
+   * @param {number} [value=1]
+   */
+  inc(name, labels = {}, value = 1) {
+    const entry = this._entry(name, labels, () => ({ labels, value: 0 }));
+    entry.value += value;
+  }
+
+  /**
+   * Set a gauge.
+   * @param {string} name
+   * @param {object} labels
+   * @param {number} value
+   */
+  set(name, labels, value) {
+    this._entry(name, labels, () => ({ labels, value: 0 })).value = value;
+  }
+
+  /**
+   * Record one histogram observation.
+   * @param {string} name
+   * @param {object} labels
+   * @param {number} value
+   */
+  observe(name, labels, value) {
+    const { buckets } = DEFINITIONS[name];
+    const entry = this._entry(name, labels, () => ({ labels, counts: buckets.map(() => 0), sum: 0, count: 0 }));
+    buckets.forEach((le, i) => {
+      if (value <= le) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  /**
+   * Register a function that sets gauges right before each scrape.
+   * Gauges are cleared first, so series that no longer exist disappear.
+   * @param {Function} fn
+   */
+  onCollect(fn) {
+    this._collectors.push(fn);
+  }
+
+  /**
+   * Everything in Prometheus text format (version 0.0.4).
+   * @returns {string}
+   */
+  render() {
+    for (const [name, def] of Object.entries(DEFINITIONS)) {
+      if (def.type === 'gauge') this.values.get(name).clear();
+    }
+    for (const fn of this._collectors) {
+      try {
+        fn();
+      } catch (err) {
+        console.error('[Metrics] Collector error:', err.message);
+      }
+    }
+
+    const lines = [];
+    for (const [name, def] of Object.entries(DEFINITIONS)) {
+      const metric = PREFIX + name;
+      lines.push(`# HELP ${metric} ${def.help}`, `# TYPE ${metric} ${def.type}`);
+      for (const entry of this.values.get(name).values()) {
+        if (def.type === 'histogram') {
+          def.buckets.forEach((le, i) => {
+            lines.push(`${metric}_bucket${formatLabels({ ...entry.labels, le: String(le) })} ${entry.counts[i]}`);
+          });
+          lines.push(`${metric}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+          lines.push(`${metric}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+          lines.push(`${metric}_count${formatLabels(entry.labels)} ${entry.count}`);
+        } else {
+          lines.push(`${metric}${formatLabels(entry.labels)} ${entry.value}`);
+        }
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  // ─── Internal ─────────────────────────────────────────────────
+
+  _entry(name, labels, create) {
+    const series = this.values.get(name);
+    if (!series) throw new Error(`Unknown metric: ${name}`);
+    const key = formatLabels(labels);
+    if (!series.has(key)) series.set(key, create());
+    return series.get(key);
+  }
+}
+
+/** `{a="1",b="2"}` with values escaped, or '' without labels. */
+function formatLabels(labels) {
+  const parts = Object.entries(labels).map(([k, v]) =>
+    `${k}="${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+  );
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+export default new Metrics();
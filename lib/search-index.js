@@ -0,0 +1,174 @@
+/**
+ * Search Index
+ * In-memory inverted index over session messages: user prompts, assistant text,
+ * tool inputs and tool outputs. Owned and kept current by SessionStore.
+ */
+
+const MAX_DOC_CHARS = 20000;  // Indexed per message; the tail of huge outputs isn't searchable
+const SNIPPET_RADIUS = 70;
+
+export class SearchIndex {
+  constructor() {
+    /** @type {Map<string, Map<string, number>>} term → docKey → term frequency */
+    this.postings = new Map();
+    /** @type {Map<string, object>} docKey → {sessionId, messageId, role, toolCallId, text, terms, timestamp} */
+    this.docs = new Map();
+  }
+
+  /**
+   * Index one stored message. Messages without searchable text are skipped.
+   * @param {string} sessionId
+   * @param {object} message - A history entry (user | assistant | tool)
+   */
+  add(sessionId, message) {
+    const doc = this._toDoc(sessionId, message);
+    if (!doc) return;
+    const key = `${sessionId}:${message.id}`;
+    this.remove(key);
+
+    const counts = new Map();
+    for (const term of tokenize(doc.text)) {
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+    for (const [term, tf] of counts) {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(key, tf);
+    }
+    doc.terms = [...counts.keys()];
+    this.docs.set(key, doc);
+  }
+
+  /**
+   * Drop one document by key.
+   * @param {string} key - `${sessionId}:${messageId}`
+   */
+  remove(key) {
+    const doc = this.docs.get(key);
+    if (!doc) return;
+    for (const term of doc.terms) {
+      const posting = this.postings.get(term);
+      posting?.delete(key);
+      if (posting && posting.size === 0) this.postings.delete(term);
+    }
+    this.docs.delete(key);
+  }
+
+  /**
+   * Drop everything indexed for a session.
+   * @param {string} sessionId
+   */
+  removeSession(sessionId) {
+    const prefix = `${sessionId}:`;
+    for (const key of [...this.docs.keys()]) {
+      if (key.startsWith(prefix)) this.remove(key);
+    }
+  }
+
+  /**
+   * Ranked search. Every query word must match, as a whole word or a prefix
+   * ("fix" finds "fixed", and results show up while typing); whole words and
+   * exact phrase matches rank higher.
+   * @param {string} query
+   * @param {object} [opts]
+   * @param {number} [opts.limit]
+   * @returns {object[]} {sessionId, messageId, role, toolCallId, snippet, score, timestamp}
+   */
+  search(query, { limit = 50 } = {}) {
+    const words = tokenize(query);
+    if (words.length === 0) return [];
+
+    let scores = null;
+    const vocabulary = [...this.postings.keys()];
+    for (const word of words) {
+      const matches = new Map();
+      for (const term of vocabulary) {
+        if (!term.startsWith(word)) continue;
+        const posting = this.postings.get(term);
+        const weight = Math.log(1 + this.docs.size / posting.size) * (term === word ? 1 : 0.5);
+        for (const [key, tf] of posting) {
+          matches.set(key, (matches.get(key) || 0) + (1 + Math.log(tf)) * weight);
+        }
+      }
+
+      if (scores === null) {
+        scores = matches;
+      } else {
+        for (const key of scores.keys()) {
+          if (!matches.has(key)) scores.delete(key);
+          else scores.set(key, scores.get(key) + matches.get(key));
+        }
+      }
+    }
+
+    const phrase = query.trim().toLowerCase();
+    const hits = [];
+    for (const [key, score] of scores) {
+      const doc = this.docs.get(key);
+      const phraseAt = doc.text.toLowerCase().indexOf(phrase);
+      hits.push({
+        sessionId: doc.sessionId,
+        messageId: doc.messageId,
+        role: doc.role,
+        toolCallId: doc.toolCallId,
+        snippet: this._snippet(doc.text, phraseAt !== -1 ? phraseAt : this._firstMatch(doc.text, words)),
+        score: phraseAt !== -1 ? score * 2 : score,
+        timestamp: doc.timestamp
+      });
+    }
+
+    hits.sort((a, b) => b.score - a.score || String(b.timestamp).localeCompare(String(a.timestamp)));
+    return hits.slice(0, limit);
+  }
+
+  // ─── Internal ─────────────────────────────────────────────────
+
+  _toDoc(sessionId, message) {
+    let text = '';
+    let toolCallId = null;
+
+    if (message.role === 'user') {
+      text = typeof message.content === 'string' ? message.content : '';
+    } else if (message.role === 'assistant') {
+      const parts = (message.content || []).filter(c => c.type === 'text').map(c => c.text);
+      for (const tc of message.toolCalls || []) {
+        parts.push(`${tc.tool} ${typeof tc.input === 'string' ? tc.input : JSON.stringify(tc.input ?? '')}`);
+      }
+      text = parts.join('\n');
+    } else if (message.role === 'tool') {
+      text = message.output || '';
+      toolCallId = message.toolCallId;
+    }
+
+    if (!text.trim()) return null;
+    return {
+      sessionId,
+      messageId: message.id,
+      role: message.role,
+      toolCallId,
+      text: text.slice(0, MAX_DOC_CHARS),
+      terms: [],
+      timestamp: message.timestamp || null
+    };
+  }
+
+  _firstMatch(text, words) {
+    const lower = text.toLowerCase();
+    let best = -1;
+    for (const word of words) {
+      const at = lower.indexOf(word);
+      if (at !== -1 && (best === -1 || at < best)) best = at;
+    }
+    return Math.max(best, 0);
+  }
+
+  _snippet(text, at) {
+    const start = Math.max(0, at - SNIPPET_RADIUS);
+    const end = Math.min(text.length, at + SNIPPET_RADIUS * 2);
+    return (start > 0 ? '…' : '') + text.slice(start, end).replace(/\s+/g, ' ').trim() + (end < text.length ? '…' : '');
+  }
+}
+
+/** Lowercased words of two or more letters/digits. */
+function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}_]{2,}/gu) || []);
+}
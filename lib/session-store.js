@@ -1,33 +1,178 @@
 /**
  * Session Store
  * In-memory session management with debounced JSON persistence.
+ * Message history is appended to one JSONL file per session and loaded lazily.
  */
 
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { join, dirname } from 'path';
+import { readFileSync, writeFileSync, appendFileSync, existsSync, mkdirSync, unlinkSync, statSync } from 'fs';
+import { join, dirname, isAbsolute } from 'path';
 import { fileURLToPath } from 'url';
 import { v4 as uuid } from 'uuid';
+import { SearchIndex } from './search-index.js';
+import metrics from './metrics.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
-const DATA_FILE = join(__dirname, '..', 'data', 'sessions.json');
+const DATA_DIR = join(__dirname, '..', 'data');
+const DATA_FILE = join(DATA_DIR, 'sessions.json');
+const HISTORY_DIR = join(DATA_DIR, 'history');
+
+const MAX_CACHED_HISTORIES = 20;   // Histories held in memory (LRU)
+const MAX_HISTORY_MESSAGES = 2000; // Older messages are trimmed from disk
+const MAX_FIELD_CHARS = 100000;    // Per text field, before writing
+
+/** SDK permission modes a session may run in. */
+export const PERMISSION_MODES = ['default', 'acceptEdits', 'plan', 'bypassPermissions'];
+
+const MAX_SYSTEM_PROMPT_CHARS = 20000;
+const MAX_LIST_ITEMS = 100; // Tool rules or extra directories per session
+
+// A tool name with an optional rule, e.g. Read, Bash(git diff:*), mcp__github__create_issue
+const TOOL_RULE = /^[\w.-]+(\([^\n]*\))?$/;
+
+/** Session fields a client may set on create or change later. */
+const SETTINGS = {
+  name: (v) => typeof v === 'string' && v.trim() && v.length <= 200 ? null : 'name must be a non-empty string (max 200 chars)',
+  model: (v) => typeof v === 'string' && /^[\w.:-]+$/.test(v) ? null : 'model must be a model ID',
+  cwd: (v) => directoryError('cwd', v),
+  permissionMode: (v) => PERMISSION_MODES.includes(v) ? null : `permissionMode must be one of: ${PERMISSION_MODES.join(', ')}`,
+  maxThinkingTokens: (v) => v === null || (Number.isInteger(v) && v >= 0) ? null : 'maxThinkingTokens must be a non-negative integer or null',
+  budgetUsd: (v) => v === null || (typeof v === 'number' && v > 0) ? null : 'budgetUsd must be a positive number or null',
+  mcpServers: (v) => v === null ? null : mcpServersError(v),
+  appendSystemPrompt: (v) => v === null || (typeof v === 'string' && v.length <= MAX_SYSTEM_PROMPT_CHARS) ? null
+    : `appendSystemPrompt must be a string (max ${MAX_SYSTEM_PROMPT_CHARS} chars) or null`,
+  allowedTools: (v) => toolListError('allowedTools', v),
+  disallowedTools: (v) => toolListError('disallowedTools', v),
+  maxTurns: (v) => v === null || (Number.isInteger(v) && v > 0) ? null : 'maxTurns must be a positive integer or null',
+  additionalDirectories: (v) => {
+    if (v === null) return null;
+    if (!Array.isArray(v) || v.length > MAX_LIST_ITEMS) return `additionalDirectories must be a list of up to ${MAX_LIST_ITEMS} paths, or null`;
+    for (const dir of v) {
+      const error = directoryError('additional directory', dir);
+      if (error) return error;
+    }
+    return null;
+  }
+};
+
+/** Problems with a path that must be an existing directory, given absolutely. */
+function directoryError(label, v) {
+  if (typeof v !== 'string' || !v) return `${label} must be a path`;
+  if (!isAbsolute(v)) return `${label} must be an absolute path: ${v}`;
+  try {
+    return statSync(v).isDirectory() ? null : `${label} is not a directory: ${v}`;
+  } catch {
+    return `${label} does not exist: ${v}`;
+  }
+}
+
+function toolListError(key, v) {
+  if (v === null) return null;
+  if (!Array.isArray(v) || v.length > MAX_LIST_ITEMS) return `${key} must be a list of up to ${MAX_LIST_ITEMS} tool names, or null`;
+  const bad = v.find(rule => typeof rule !== 'string' || rule.length > 200 || !TOOL_RULE.test(rule));
+  return bad === undefined ? null : `${key}: not a tool name or rule: ${bad}`;
+}
+
+const MCP_SERVER_NAME = /^[\w.-]{1,64}$/;
+
+/** Problems with a {name: config} map of stdio, SSE or HTTP MCP servers, as the SDK's mcpServers option takes. */
+function mcpServersError(servers) {
+  if (!isPlainObject(servers)) return 'mcpServers must be an object of server name → config, or null';
+  for (const [name, server] of Object.entries(servers)) {
+    if (!MCP_SERVER_NAME.test(name)) return `MCP server name may only use letters, digits, "_", "-" and "." (max 64): ${name}`;
+    if (!isPlainObject(server)) return `MCP server ${name}: config must be an object`;
+    const type = server.type ?? 'stdio';
+    if (type === 'stdio') {
+      if (typeof server.command !== 'string' || !server.command) return `MCP server ${name}: command is required`;
+      if (server.args !== undefined && !(Array.isArray(server.args) && server.args.every(a => typeof a === 'string'))) {
+        return `MCP server ${name}: args must be an array of strings`;
+      }
+      if (server.env !== undefined && !isStringMap(server.env)) return `MCP server ${name}: env must map names to strings`;
+    } else if (type === 'sse' || type === 'http') {
+      if (typeof server.url !== 'string' || !/^https?:\/\//.test(server.url)) return `MCP server ${name}: url must be an http(s) URL`;
+      if (server.headers !== undefined && !isStringMap(server.headers)) return `MCP server ${name}: headers must map names to strings`;
+    } else {
+      return `MCP server ${name}: type must be stdio, sse or http`;
+    }
+  }
+  return null;
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function isStringMap(v) {
+  return isPlainObject(v) && Object.values(v).every(x => typeof x === 'string');
+}
+
+/** Names of the fields validateSettings() accepts. */
+export const SETTING_KEYS = Object.keys(SETTINGS);
+
+/**
+ * Validate client-supplied session settings.
+ * @param {object} fields
+ * @returns {string|null} The first problem found, or null if every field is valid
+ */
+export function validateSettings(fields) {
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    const check = SETTINGS[key];
+    if (!check) return `Unknown setting: ${key}`;
+    const error = check(value);
+    if (error) return error;
+  }
+  return null;
+}
+
+/**
+ * The plan from the last TodoWrite call in a list of messages.
+ * @param {object[]} messages
+ * @returns {object[]} {content, status, activeForm}, or [] if there was none
+ */
+export function latestTodos(messages) {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const m = messages[i];
+    if (m.role !== 'assistant' || m.parentToolUseId) continue;
+    const call = (m.toolCalls || []).findLast(tc => tc.tool === 'TodoWrite' && Array.isArray(tc.input?.todos));
+    if (call) return call.input.todos;
+  }
+  return [];
+}
+
+/** User prompts and top-level replies — not tool output, turn results or subagent turns. */
+function isConversation(message) {
+  return (message.role === 'user' || message.role === 'assistant') && !message.parentToolUseId;
+}
 
 class SessionStore {
   constructor() {
     /** @type {Map<string, object>} */
     this.sessions = new Map();
+    /** @type {Map<string, object[]>} Loaded histories, least recently used first */
+    this._history = new Map();
     this._saveTimer = null;
+    /** Full-text index over all histories, built on the first search */
+    this._index = new SearchIndex();
+    this._indexed = false;
     this._load();
+
+    metrics.onCollect(() => {
+      for (const s of this.sessions.values()) metrics.inc('sessions', { status: s.status || 'idle' });
+    });
   }
 
   _load() {
     try {
+      mkdirSync(HISTORY_DIR, { recursive: true });
       if (existsSync(DATA_FILE)) {
         const raw = readFileSync(DATA_FILE, 'utf-8');
         const arr = JSON.parse(raw);
         for (const s of arr) {
-          // Don't persist message bodies to disk — too large.
-          // Messages live only in memory for the current server lifetime.
-          s.messages = s.messages || [];
+          // Older files carried an always-empty messages array
+          delete s.messages;
+          s.messageCount = s.messageCount || 0;
+          // A run can't outlive the process that started it
+          if (s.status === 'running') s.status = 'idle';
           this.sessions.set(s.id, s);
         }
       }
@@ -46,10 +191,7 @@ class SessionStore {
 
   _save() {
     try {
-      const arr = Array.from(this.sessions.values()).map(s => ({
-        ...s,
-        messages: [] // Don't persist messages to disk
-      }));
+      const arr = Array.from(this.sessions.values());
       writeFileSync(DATA_FILE, JSON.stringify(arr, null, 2));
     } catch (err) {
       console.error('[SessionStore] Save error:', err.message);
@@ -62,16 +204,29 @@ class SessionStore {
    * @param {string} opts.name
    * @param {string} opts.cwd
    * @param {string} [opts.model]
+   * @param {string} [opts.permissionMode] - One of PERMISSION_MODES
    * @returns {object} The created session
    */
-  create({ name, cwd, model }) {
+  create({
+    name, cwd, model, permissionMode, maxThinkingTokens, budgetUsd, mcpServers,
+    appendSystemPrompt, allowedTools, disallowedTools, maxTurns, additionalDirectories
+  }) {
     const session = {
       id: uuid(),
       name: name || 'New Session',
       cwd: cwd || process.cwd(),
       model: model || 'claude-sonnet-4-5-20250929',
+      permissionMode: permissionMode || 'default',
+      maxThinkingTokens: maxThinkingTokens || null, // Extended thinking budget; null = off
+      budgetUsd: budgetUsd ?? null, // Spend limit; null = config.budgets.sessionUsd
+      mcpServers: mcpServers || null, // Extra MCP servers for this session, on top of user/project settings
+      appendSystemPrompt: appendSystemPrompt || null, // Added after the Claude Code system prompt
+      allowedTools: allowedTools || null, // Tools (or rules like Bash(git:*)) that run without asking
+      disallowedTools: disallowedTools || null, // Tools removed from the model's context
+      maxTurns: maxTurns || null, // Agentic turns per prompt; null = config.budgets.maxTurns
+      additionalDirectories: additionalDirectories || null, // Readable/writable beyond the cwd
       sdkSessionId: null,
-      messages: [],
+      messageCount: 0,
       status: 'idle', // idle | running | error
       totalCost: 0,
       totalInputTokens: 0,
@@ -103,16 +258,40 @@ class SessionStore {
       name: s.name,
       cwd: s.cwd,
       model: s.model,
+      permissionMode: s.permissionMode || 'default',
+      maxThinkingTokens: s.maxThinkingTokens || null,
+      budgetUsd: s.budgetUsd ?? null,
+      mcpServers: s.mcpServers || null,
+      mcpStatus: s.mcpStatus || [],
+      appendSystemPrompt: s.appendSystemPrompt || null,
+      allowedTools: s.allowedTools || null,
+      disallowedTools: s.disallowedTools || null,
+      maxTurns: s.maxTurns || null,
+      additionalDirectories: s.additionalDirectories || null,
+      forkedFrom: s.forkedFrom || null,
+      todos: s.todos || [],
       status: s.status,
       totalCost: s.totalCost,
       totalInputTokens: s.totalInputTokens,
       totalOutputTokens: s.totalOutputTokens,
-      messageCount: s.messages.length,
+      messageCount: s.messageCount,
       createdAt: s.createdAt,
       lastActiveAt: s.lastActiveAt
     }));
   }
 
+  /**
+   * Find the session continuing a given SDK session, if any.
+   * @param {string} sdkSessionId
+   * @returns {object|null}
+   */
+  findBySdkSession(sdkSessionId) {
+    for (const s of this.sessions.values()) {
+      if (s.sdkSessionId === sdkSessionId) return s;
+    }
+    return null;
+  }
+
   /**
    * Update session fields.
    * @param {string} id
@@ -129,37 +308,271 @@ class SessionStore {
   }
 
   /**
-   * Add a message to a session's history.
+   * Add a message to a session's history and append it to disk.
    * @param {string} id
    * @param {object} message
    */
   addMessage(id, message) {
     const session = this.sessions.get(id);
     if (!session) return;
-    session.messages.push(message);
+    const capped = this._capMessage(message);
+    try {
+      appendFileSync(this._historyFile(id), JSON.stringify(capped) + '\n');
+    } catch (err) {
+      console.error('[SessionStore] History write error:', err.message);
+    }
+    metrics.inc('messages_stored_total', { role: message.role });
+
+    // Only touch the in-memory copy if it's loaded — otherwise the next
+    // getHistory() will pick the new line up from disk.
+    const cached = this._history.get(id);
+    if (cached) {
+      cached.push(capped);
+      if (cached.length > MAX_HISTORY_MESSAGES * 1.1) this._trimHistory(id, cached);
+    }
+    if (this._indexed) this._index.add(id, capped);
+
+    // Tool outputs, subagent turns and turn results are stored too, but only the conversation is counted
+    if (isConversation(message)) {
+      session.messageCount = (session.messageCount || 0) + 1;
+    }
     session.lastActiveAt = new Date().toISOString();
+    this._scheduleSave();
   }
 
   /**
-   * Get message history for a session.
+   * Get the full message history for a session, loading it from disk if needed.
    * @param {string} id
    * @returns {object[]}
    */
   getHistory(id) {
+    if (!this.sessions.has(id)) return [];
+    return this._loadHistory(id);
+  }
+
+  /**
+   * Get one page of history, newest last.
+   * @param {string} id
+   * @param {object} [opts]
+   * @param {string} [opts.before] - Return messages older than this message ID
+   * @param {number} [opts.limit] - Page size
+   * @returns {{messages: object[], total: number, hasMore: boolean}}
+   */
+  getHistoryPage(id, { before, limit = 200 } = {}) {
+    const all = this.getHistory(id);
+    let end = all.length;
+    if (before) {
+      const idx = all.findIndex(m => m.id === before);
+      if (idx !== -1) end = idx;
+    }
+    const start = Math.max(0, end - limit);
+    return { messages: all.slice(start, end), total: all.length, hasMore: start > 0 };
+  }
+
+  /**
+   * Branch a session at one of its messages. The fork gets the history up to
+   * that point; its first turn resumes the parent's SDK session there.
+   * Forking at a user message leaves that message out, so it can be re-sent or edited.
+   * @param {string} id - Parent session ID
+   * @param {string} messageId - Message to branch at
+   * @returns {object|null} The new session, or null if the session or message doesn't exist
+   * @throws {Error} If the branch point predates fork support (no SDK message ID recorded),
+   *   or there's no SDK session to resume (the working directory changed since)
+   */
+  fork(id, messageId) {
+    const parent = this.sessions.get(id);
+    if (!parent) return null;
+    const history = this.getHistory(id);
+    const idx = history.findIndex(m => m.id === messageId);
+    if (idx === -1 || !isConversation(history[idx])) return null;
+
+    const branchAt = history[idx];
+    let end = branchAt.role === 'user' ? idx : idx + 1;
+    // Keep the outputs of the branch message's own tool calls, including any subagent work
+    while (end < history.length && (history[end].role === 'tool' || history[end].parentToolUseId)) end++;
+    const kept = history.slice(0, end);
+    // Subagent turns live in their own sidechain, so they can't be resume points
+    const anchor = kept.findLast(m => m.role === 'assistant' && !m.parentToolUseId);
+    // A fork that hasn't run yet still resumes its parent's SDK session
+    const sdkSessionId = parent.sdkSessionId ?? parent.forkPoint?.sdkSessionId;
+    if (anchor && !anchor.sdkUuid) {
+      throw new Error('This message was recorded before forking was supported');
+    }
+    if (anchor && !sdkSessionId) {
+      throw new Error('The conversation restarted when the working directory changed, so earlier messages can\'t be branched from');
+    }
+
+    const preview = typeof branchAt.content === 'string'
+      ? branchAt.content
+      : (branchAt.content || []).filter(c => c.type === 'text').map(c => c.text).join('');
+
+    const session = this.create({
+      name: `${parent.name} (fork)`,
+      cwd: parent.cwd,
+      model: parent.model,
+      permissionMode: parent.permissionMode,
+      maxThinkingTokens: parent.maxThinkingTokens,
+      mcpServers: parent.mcpServers,
+      appendSystemPrompt: parent.appendSystemPrompt,
+      allowedTools: parent.allowedTools,
+      disallowedTools: parent.disallowedTools,
+      maxTurns: parent.maxTurns,
+      additionalDirectories: parent.additionalDirectories
+    });
+    session.forkedFrom = {
+      sessionId: parent.id,
+      sessionName: parent.name,
+      messageId,
+      preview: preview.slice(0, 80)
+    };
+    // Consumed by the first run, which records the fork's own SDK session ID
+    session.forkPoint = anchor ? { sdkSessionId, resumeAt: anchor.sdkUuid } : null;
+    this.replaceHistory(session.id, kept);
+    return session;
+  }
+
+  /**
+   * Replace a session's whole history on disk (forks, imports).
+   * @param {string} id
+   * @param {object[]} messages
+   */
+  replaceHistory(id, messages) {
     const session = this.sessions.get(id);
-    return session ? session.messages : [];
+    if (!session) return;
+    const capped = messages.slice(-MAX_HISTORY_MESSAGES).map(m => this._capMessage(m));
+    try {
+      writeFileSync(this._historyFile(id), capped.map(m => JSON.stringify(m) + '\n').join(''));
+    } catch (err) {
+      console.error('[SessionStore] History write error:', err.message);
+    }
+    this._history.delete(id);
+    if (this._indexed) {
+      this._index.removeSession(id);
+      for (const m of capped) this._index.add(id, m);
+    }
+    session.messageCount = capped.filter(isConversation).length;
+    session.todos = latestTodos(capped); // A fork's plan is the one at its branch point
+    this._scheduleSave();
+  }
+
+  /**
+   * Full-text search across every session's history.
+   * @param {string} query
+   * @param {object} [opts]
+   * @param {number} [opts.limit]
+   * @returns {object[]} Ranked hits with the session name and a snippet
+   */
+  search(query, { limit = 50 } = {}) {
+    if (!this._indexed) {
+      // Read straight from disk so a search doesn't flush the history cache
+      for (const id of this.sessions.keys()) {
+        for (const m of this._readHistoryFile(id)) this._index.add(id, m);
+      }
+      this._indexed = true;
+    }
+
+    return this._index.search(query, { limit })
+      .filter(hit => this.sessions.has(hit.sessionId))
+      .map(hit => ({ ...hit, sessionName: this.sessions.get(hit.sessionId).name }));
   }
 
   /**
-   * Delete a session.
+   * Delete a session and its history file.
    * @param {string} id
    * @returns {boolean}
    */
   delete(id) {
     const deleted = this.sessions.delete(id);
-    if (deleted) this._scheduleSave();
+    if (deleted) {
+      this._history.delete(id);
+      this._index.removeSession(id);
+      try {
+        const file = this._historyFile(id);
+        if (existsSync(file)) unlinkSync(file);
+      } catch (err) {
+        console.error('[SessionStore] History delete error:', err.message);
+      }
+      this._scheduleSave();
+    }
     return deleted;
   }
+
+  // ─── History Internals ────────────────────────────────────────
+
+  _historyFile(id) {
+    return join(HISTORY_DIR, `${id}.jsonl`);
+  }
+
+  _loadHistory(id) {
+    let messages = this._history.get(id);
+    if (messages) {
+      // Re-insert to mark as most recently used
+      this._history.delete(id);
+      this._history.set(id, messages);
+      return messages;
+    }
+
+    messages = this._readHistoryFile(id);
+    if (messages.length > MAX_HISTORY_MESSAGES) this._trimHistory(id, messages);
+
+    this._history.set(id, messages);
+    while (this._history.size > MAX_CACHED_HISTORIES) {
+      this._history.delete(this._history.keys().next().value);
+    }
+    return messages;
+  }
+
+  _readHistoryFile(id) {
+    const messages = [];
+    const file = this._historyFile(id);
+    if (!existsSync(file)) return messages;
+    try {
+      for (const line of readFileSync(file, 'utf-8').split('\n')) {
+        if (!line) continue;
+        try {
+          messages.push(JSON.parse(line));
+        } catch {
+          // Skip a torn line from a crash mid-append
+        }
+      }
+    } catch (err) {
+      console.error('[SessionStore] History read error:', err.message);
+    }
+    return messages;
+  }
+
+  _trimHistory(id, messages) {
+    const dropped = messages.splice(0, messages.length - MAX_HISTORY_MESSAGES);
+    for (const m of dropped) this._index.remove(`${id}:${m.id}`);
+    try {
+      writeFileSync(this._historyFile(id), messages.map(m => JSON.stringify(m) + '\n').join(''));
+    } catch (err) {
+      console.error('[SessionStore] History trim error:', err.message);
+    }
+  }
+
+  _capMessage(message) {
+    const cap = (text) => typeof text === 'string' && text.length > MAX_FIELD_CHARS
+      ? text.slice(0, MAX_FIELD_CHARS) + '\n…[truncated]'
+      : text;
+
+    const capped = { ...message };
+    if (typeof capped.output === 'string') capped.output = cap(capped.output);
+    if (typeof capped.content === 'string') {
+      capped.content = cap(capped.content);
+    } else if (Array.isArray(capped.content)) {
+      capped.content = capped.content.map(b => typeof b.text === 'string' ? { ...b, text: cap(b.text) }
+        : typeof b.thinking === 'string' ? { ...b, thinking: cap(b.thinking) }
+        : b);
+    }
+    if (Array.isArray(capped.toolCalls)) {
+      capped.toolCalls = capped.toolCalls.map(tc => {
+        const json = JSON.stringify(tc.input ?? null);
+        return json.length > MAX_FIELD_CHARS ? { ...tc, input: cap(json) } : tc;
+      });
+    }
+    return capped;
+  }
 }
 
 export default new SessionStore();
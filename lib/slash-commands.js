@@ -1,20 +1,143 @@
 /**
  * Slash Command Resolver
  * Discovers and expands Claude Code slash commands from user + project directories.
+ * Follows Claude Code's command format: subdirectories namespace commands
+ * (frontend/component.md → /frontend:component), $ARGUMENTS and $1..$n take
+ * arguments, frontmatter sets description, argument-hint, allowed-tools and
+ * model, !`cmd` inlines a shell command's output and @path a file's contents.
+ * A handful of the CLI's built-in commands (/clear, /model, ...) run on the
+ * server instead, ahead of any command file with the same name.
  */
 
-import { readFileSync, readdirSync, existsSync } from 'fs';
-import { join, basename } from 'path';
+import { readFileSync, readdirSync, existsSync, statSync } from 'fs';
+import { join, basename, sep } from 'path';
 import { homedir } from 'os';
+import { exec } from 'child_process';
+import workspace from './workspace.js';
+import store, { validateSettings } from './session-store.js';
+import budget from './budget.js';
+import sse from './sse-manager.js';
 
 const USER_COMMANDS_DIR = join(homedir(), '.claude', 'commands');
 
+const SHELL_TIMEOUT_MS = 30000;
+const MAX_SHELL_OUTPUT = 20000; // Chars of each !`cmd` output kept in the prompt
+const MAX_FILE_REFS = 10;       // @file references inlined per prompt
+
+// What the model picker offers, for `/model opus`
+const MODEL_ALIASES = {
+  sonnet: 'claude-sonnet-4-5-20250929',
+  opus: 'claude-opus-4-6',
+  haiku: 'claude-haiku-4-5-20251001'
+};
+
+const SHELL_PATTERN = /!`([^`\n]+)`/g;
+// Chaining, pipes, redirects and substitutions: a prefix rule never extends past these
+const SHELL_OPERATORS = /[;&|<>`\n]|\$\(/;
+const FILE_PATTERN = /(^|\s)@([^\s`'"]+)/g;
+
+/**
+ * Commands the server answers itself. run({session, args, runner}) does the
+ * work and returns the system message to show: {text, level?, clear?, running?}.
+ * It throws when the command can't run (bad argument, session busy).
+ */
+const BUILTINS = {
+  clear: {
+    description: 'Clear the conversation and start fresh',
+    run({ session, runner }) {
+      if (runner.isRunning(session.id)) throw new Error('Stop the current response before clearing');
+      store.replaceHistory(session.id, []);
+      store.update(session.id, { sdkSessionId: null, forkPoint: null });
+      runner.forgetApprovals(session.id);
+      sse.broadcast(session.id, 'todos', { todos: [] });
+      return { text: 'Conversation cleared — the next prompt starts a fresh context.', clear: true };
+    }
+  },
+
+  compact: {
+    description: 'Summarize the conversation so far to free up context',
+    argumentHint: '[instructions for the summary]',
+    run({ session, args, runner }) {
+      if (runner.isRunning(session.id)) throw new Error('Wait for the current response (or stop it) before compacting');
+      if (!session.sdkSessionId) throw new Error('Nothing to compact yet');
+      const over = budget.exceeded(session);
+      if (over) throw new Error(`${over.scope} budget of $${over.limit.toFixed(2)} reached`);
+
+      // The SDK runs its own /compact; the compact_boundary it emits reports the result
+      runner.run(session.id, args ? `/compact ${args}` : '/compact').catch(err => {
+        console.error('[SlashCommands] Compact error:', err.message);
+      });
+      return { text: 'Compacting the conversation…', running: true };
+    }
+  },
+
+  cost: {
+    description: 'Show this session\'s spend, tokens and budgets',
+    run({ session }) {
+      const turns = store.getHistory(session.id).filter(m => m.role === 'result').length;
+      const lines = [
+        `Session: $${(session.totalCost || 0).toFixed(4)} over ${turns} turn${turns === 1 ? '' : 's'} · ` +
+          `${(session.totalInputTokens || 0).toLocaleString('en-US')} input / ${(session.totalOutputTokens || 0).toLocaleString('en-US')} output tokens`
+      ];
+      for (const b of budget.status(session)) {
+        lines.push(`Budget (${b.scope}): $${b.spent.toFixed(2)} of $${b.limit.toFixed(2)} (${Math.round((b.spent / b.limit) * 100)}%)`);
+      }
+      return { text: lines.join('\n') };
+    }
+  },
+
+  model: {
+    description: 'Show or switch the model',
+    argumentHint: '[sonnet | opus | haiku | model ID]',
+    run({ session, args, runner }) {
+      if (!args) {
+        return { text: `Model: ${session.model}\nSwitch with /model ${Object.keys(MODEL_ALIASES).join(' | ')} or a full model ID.` };
+      }
+      const model = MODEL_ALIASES[args.toLowerCase()] || args;
+      const invalid = validateSettings({ model });
+      if (invalid) throw new Error(invalid);
+
+      store.update(session.id, { model });
+      sse.broadcast(session.id, 'session_updated', { model });
+      const when = runner.isRunning(session.id) ? ' from the next prompt' : '';
+      return { text: `Model switched to ${model}${when}.` };
+    }
+  },
+
+  status: {
+    description: 'Show model, directories, MCP servers and tool settings',
+    run({ session, runner }) {
+      const lines = [
+        `Model: ${session.model} · Permissions: ${session.permissionMode || 'default'} · ${runner.isRunning(session.id) ? 'Running' : 'Idle'}`,
+        `Working directory: ${session.cwd}`
+      ];
+      if (session.additionalDirectories?.length) lines.push(`Also accessible: ${session.additionalDirectories.join(', ')}`);
+      lines.push(session.sdkSessionId
+        ? `Conversation: ${session.messageCount} messages, resuming SDK session ${session.sdkSessionId}`
+        : 'Conversation: new — the next prompt starts a fresh context');
+
+      const servers = session.mcpStatus || [];
+      lines.push(servers.length
+        ? `MCP servers: ${servers.map(s => `${s.name} ${s.status}${s.error ? ` (${s.error})` : ''}`).join(', ')}`
+        : `MCP servers: ${session.mcpServers ? `${Object.keys(session.mcpServers).join(', ')} (not started yet)` : 'none'}`);
+
+      if (session.tools?.length) lines.push(`Tools: ${session.tools.length} available as of the last prompt`);
+      if (session.allowedTools?.length) lines.push(`Auto-approved: ${session.allowedTools.join(', ')}`);
+      if (session.disallowedTools?.length) lines.push(`Blocked: ${session.disallowedTools.join(', ')}`);
+      if (session.maxTurns) lines.push(`Max turns per prompt: ${session.maxTurns}`);
+      if (session.appendSystemPrompt) lines.push(`System prompt: ${session.appendSystemPrompt.length} chars appended`);
+      return { text: lines.join('\n') };
+    }
+  }
+};
+
 class SlashCommands {
   /**
    * Discover all available slash commands for a given project CWD.
-   * Searches: ~/.claude/commands/ and <cwd>/.claude/commands/
+   * Searches: ~/.claude/commands/ and <cwd>/.claude/commands/, including subdirectories
    * @param {string} [cwd] - Project working directory
-   * @returns {object[]} Array of {name, description, source}
+   * @returns {object[]} Array of {name, description, argumentHint, model, source}, sorted by name;
+   *   source is 'user', 'project' or 'builtin'
    */
   list(cwd) {
     const commands = new Map();
@@ -28,30 +151,66 @@ class SlashCommands {
       this._scanDir(projectDir, 'project', commands);
     }
 
-    return Array.from(commands.values());
+    // Built-ins win over files, as they do when dispatched
+    for (const [name, { description, argumentHint = '' }] of Object.entries(BUILTINS)) {
+      commands.set(name, { name, description, argumentHint, model: null, source: 'builtin' });
+    }
+
+    return Array.from(commands.values()).sort((a, b) => a.name.localeCompare(b.name));
   }
 
   /**
-   * Resolve a slash command to its expanded prompt text.
-   * @param {string} name - Command name (without /)
+   * A built-in command, if the name is one.
+   * @param {string} name
+   * @returns {{description: string, argumentHint?: string, run: Function}|null}
+   */
+  builtin(name) {
+    return Object.hasOwn(BUILTINS, name) ? BUILTINS[name] : null;
+  }
+
+  /**
+   * Resolve a slash command to its prompt text, with arguments substituted.
+   * !`cmd` lines are left as written — expand() runs them when the turn starts.
+   * @param {string} name - Command name (without /), namespaced with ':'
    * @param {string} [args] - Additional arguments after the command
    * @param {string} [cwd] - Project working directory
-   * @returns {{prompt: string, description: string, source: string}|null}
+   * @returns {object|null} {prompt, description, argumentHint, allowedTools, model, source}
+   * @throws {Error} If a !`cmd` line isn't permitted by the command's allowed-tools
    */
   resolve(name, args, cwd) {
-    // Check project-level first (takes priority)
-    if (cwd) {
-      const projectFile = join(cwd, '.claude', 'commands', `${name}.md`);
-      const result = this._readCommand(projectFile, 'project');
-      if (result) return { ...result, prompt: this._buildPrompt(result.body, args) };
+    const command = this._find(name, cwd);
+    if (!command) return null;
+
+    for (const [, cmd] of command.body.matchAll(SHELL_PATTERN)) {
+      if (!this._shellAllowed(cmd, command.allowedTools)) {
+        throw new Error(`/${name} runs \`${cmd}\`, which its allowed-tools don't permit (add e.g. Bash(${cmd.split(' ')[0]}:*))`);
+      }
     }
 
-    // Then user-level
-    const userFile = join(USER_COMMANDS_DIR, `${name}.md`);
-    const result = this._readCommand(userFile, 'user');
-    if (result) return { ...result, prompt: this._buildPrompt(result.body, args) };
+    const { body, ...meta } = command;
+    return { ...meta, prompt: this._buildPrompt(body, args) };
+  }
+
+  /**
+   * Final prompt for a command: run its !`cmd` lines in the cwd, substitute
+   * arguments, then append the contents of any @file it references.
+   * Shell commands come from the command file only, never from the arguments.
+   * @param {string} name
+   * @param {string} [args]
+   * @param {string} cwd
+   * @returns {Promise<string|null>} null if the command no longer exists
+   */
+  async expand(name, args, cwd) {
+    const command = this._find(name, cwd);
+    if (!command) return null;
 
-    return null;
+    let body = command.body;
+    for (const [snippet, cmd] of [...body.matchAll(SHELL_PATTERN)]) {
+      if (!this._shellAllowed(cmd, command.allowedTools)) continue;
+      const output = await this._runShell(cmd, cwd);
+      body = body.replace(snippet, () => output);
+    }
+    return this._appendFiles(this._buildPrompt(body, args), cwd);
   }
 
   /**
@@ -63,23 +222,41 @@ class SlashCommands {
     const trimmed = prompt.trim();
     if (!trimmed.startsWith('/')) return null;
 
-    const match = trimmed.match(/^\/([a-zA-Z0-9_-]+)(.*)$/);
+    // A space (or the end) must follow the name, so a path like /etc/hosts isn't a command
+    const match = trimmed.match(/^\/([\w-]+(?::[\w-]+)*)(?:\s+([\s\S]*))?$/);
     if (!match) return null;
 
-    return { name: match[1], args: match[2].trim() };
+    return { name: match[1], args: (match[2] || '').trim() };
   }
 
   // ─── Internal ─────────────────────────────────────────────────
 
-  _scanDir(dir, source, map) {
+  /** Project command first, then user command. Name parts map to subdirectories. */
+  _find(name, cwd) {
+    const file = name.split(':').join(sep) + '.md';
+    if (cwd) {
+      const result = this._readCommand(join(cwd, '.claude', 'commands', file), 'project');
+      if (result) return result;
+    }
+    return this._readCommand(join(USER_COMMANDS_DIR, file), 'user');
+  }
+
+  _scanDir(dir, source, map, namespace = '') {
     if (!existsSync(dir)) return;
     try {
       for (const file of readdirSync(dir)) {
+        const full = join(dir, file);
+        if (statSync(full).isDirectory()) {
+          if (/^[\w-]+$/.test(file)) this._scanDir(full, source, map, `${namespace}${file}:`);
+          continue;
+        }
         if (!file.endsWith('.md')) continue;
-        const name = basename(file, '.md');
-        const result = this._readCommand(join(dir, file), source);
+        const name = namespace + basename(file, '.md');
+        if (!/^[\w-]+(:[\w-]+)*$/.test(name)) continue;
+        const result = this._readCommand(full, source);
         if (result) {
-          map.set(name, { name, description: result.description, source });
+          const { description, argumentHint, model } = result;
+          map.set(name, { name, description, argumentHint, model, source });
         }
       }
     } catch {}
@@ -91,7 +268,10 @@ class SlashCommands {
       const content = readFileSync(filePath, 'utf-8');
       const { frontmatter, body } = this._parseFrontmatter(content);
       return {
-        description: frontmatter.description || '',
+        description: String(frontmatter.description || ''),
+        argumentHint: String(frontmatter['argument-hint'] || ''),
+        allowedTools: toolList(frontmatter['allowed-tools']),
+        model: /^[\w.:-]+$/.test(frontmatter.model || '') ? frontmatter.model : null,
         body,
         source
       };
@@ -100,25 +280,42 @@ class SlashCommands {
     }
   }
 
+  /**
+   * The YAML subset command files use: `key: value`, quoted values, and
+   * `- item` lists under an empty key. Values stay strings otherwise, since
+   * an argument-hint like `[name] [style]` isn't meant as a list.
+   */
   _parseFrontmatter(content) {
     // Normalize line endings
     const normalized = content.replace(/\r\n/g, '\n');
-    const match = normalized.match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
+    const match = normalized.match(/^---\n([\s\S]*?)\n---(?:\n([\s\S]*))?$/);
     if (!match) return { frontmatter: {}, body: normalized };
 
     const frontmatter = {};
+    let listKey = null;
     for (const line of match[1].split('\n')) {
+      const item = line.match(/^\s*-\s+(.*)$/);
+      if (item && listKey) {
+        if (!Array.isArray(frontmatter[listKey])) frontmatter[listKey] = [];
+        frontmatter[listKey].push(unquote(item[1]));
+        continue;
+      }
+
       // Match key: value (value can contain colons, dashes, etc.)
-      const kv = line.match(/^(\w+):\s*(.+)$/);
-      if (kv) frontmatter[kv[1]] = kv[2].trim();
+      const kv = line.match(/^([\w-]+):\s*(.*)$/);
+      if (!kv) continue;
+      const value = kv[2].trim();
+      listKey = value ? null : kv[1];
+      frontmatter[kv[1]] = unquote(value);
     }
-    return { frontmatter, body: match[2].trim() };
+    return { frontmatter, body: (match[2] || '').trim() };
   }
 
-  _buildPrompt(body, args) {
-    // If the command body has $ARGUMENTS placeholder, substitute
-    if (body.includes('$ARGUMENTS')) {
-      return body.replace(/\$ARGUMENTS/g, args || '');
+  _buildPrompt(body, args = '') {
+    // If the command body has placeholders, substitute — in one pass, so a `$1` typed as an argument stays put
+    if (/\$ARGUMENTS|\$\d/.test(body)) {
+      const positional = splitArgs(args);
+      return body.replace(/\$ARGUMENTS|\$(\d+)/g, (_, n) => (n ? positional[Number(n) - 1] ?? '' : args));
     }
     // Otherwise append args
     if (args) {
@@ -126,6 +323,71 @@ class SlashCommands {
     }
     return body;
   }
+
+  /**
+   * Bash permission from allowed-tools: `Bash` allows anything,
+   * `Bash(git status:*)` that command with any arguments, `Bash(git status)`
+   * that exact command. As in the CLI, a prefix only covers whole words and
+   * one simple command — `git status; rm -rf ~` needs a rule of its own.
+   */
+  _shellAllowed(cmd, allowedTools) {
+    const command = cmd.trim();
+    return allowedTools.some(rule => {
+      if (rule === 'Bash') return true;
+      const m = rule.match(/^Bash\((.*)\)$/);
+      if (!m) return false;
+      if (!m[1].endsWith(':*')) return command === m[1];
+      const prefix = m[1].slice(0, -2).trim();
+      if (command === prefix) return true;
+      const rest = command.slice(prefix.length);
+      return command.startsWith(prefix) && /^\s/.test(rest) && !SHELL_OPERATORS.test(rest);
+    });
+  }
+
+  _runShell(cmd, cwd) {
+    return new Promise((resolve) => {
+      exec(cmd, { cwd, timeout: SHELL_TIMEOUT_MS, maxBuffer: 1024 * 1024, windowsHide: true }, (err, stdout, stderr) => {
+        let output = `${stdout}${stderr}`.trim();
+        if (output.length > MAX_SHELL_OUTPUT) output = output.slice(0, MAX_SHELL_OUTPUT) + '\n… (truncated)';
+        if (err) output += `\n(${err.killed ? 'timed out' : `exit code ${err.code}`})`;
+        resolve(output.trim());
+      });
+    });
+  }
+
+  /** Contents of @path references inside the cwd, appended after the prompt. */
+  _appendFiles(prompt, cwd) {
+    const seen = new Set();
+    const sections = [];
+    for (const [, , path] of prompt.matchAll(FILE_PATTERN)) {
+      if (seen.has(path) || seen.size >= MAX_FILE_REFS) continue;
+      seen.add(path);
+      const file = workspace.read(cwd, path);
+      if (!file || file.content == null) continue;
+      sections.push(`Contents of ${file.path}:\n\`\`\`\n${file.content.replace(/\n$/, '')}\n\`\`\``);
+    }
+    return sections.length ? `${prompt}\n\n${sections.join('\n\n')}` : prompt;
+  }
+}
+
+/**
+ * allowed-tools as a list, from a `- item` list, `[a, b]`, or `a, b`.
+ * Commas inside parentheses don't split: `Bash(git add:*), Read`.
+ */
+function toolList(value) {
+  if (Array.isArray(value)) return value.filter(Boolean);
+  const list = String(value || '').replace(/^\[(.*)\]$/, '$1');
+  return list.split(/,(?![^(]*\))/).map(unquote).filter(Boolean);
+}
+
+function unquote(value) {
+  const v = value.trim();
+  return /^(["']).*\1$/.test(v) ? v.slice(1, -1) : v;
+}
+
+/** Whitespace-separated arguments; quotes group words: a "b c" → [a, b c]. */
+function splitArgs(args) {
+  return [...args.matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g)].map(m => m[1] ?? m[2] ?? m[3]);
 }
 
 export default new SlashCommands();
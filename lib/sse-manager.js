@@ -1,20 +1,41 @@
 /**
  * SSE Connection Manager
  * Tracks Express response objects per session and broadcasts events.
+ * Every event gets a per-session monotonically increasing ID and is kept in a
+ * bounded backlog so reconnecting clients can replay what they missed.
+ * IDs read "<boot>:<n>": the boot part changes with every server start, so an
+ * ID from before a restart is never mistaken for one from this process.
  */
 
+import { randomBytes } from 'crypto';
+import metrics from './metrics.js';
+
+const BACKLOG_SIZE = 1000; // Events retained per session for Last-Event-ID replay
+const BOOT_ID = randomBytes(4).toString('hex');
+
 class SSEManager {
   constructor() {
     /** @type {Map<string, Set<import('express').Response>>} */
     this.clients = new Map();
+    /** @type {Map<string, number>} Last event ID issued per session */
+    this.seq = new Map();
+    /** @type {Map<string, {id: number, payload: string}[]>} Recent events per session */
+    this.backlog = new Map();
+
+    metrics.onCollect(() => {
+      for (const [sessionId, set] of this.clients) metrics.set('sse_clients', { session: sessionId }, set.size);
+    });
   }
 
   /**
-   * Register an SSE client for a session.
+   * Register an SSE client for a session, replaying missed events first.
    * @param {string} sessionId
    * @param {import('express').Response} res
+   * @param {string} [lastEventId] - Last event ID the client saw (from Last-Event-ID)
    */
-  add(sessionId, res) {
+  add(sessionId, res, lastEventId) {
+    if (lastEventId != null) this._replay(sessionId, res, lastEventId);
+
     if (!this.clients.has(sessionId)) {
       this.clients.set(sessionId, new Set());
     }
@@ -31,15 +52,26 @@ class SSEManager {
 
   /**
    * Broadcast an SSE event to all clients of a session.
+   * The event is recorded in the backlog even when nobody is listening.
    * @param {string} sessionId
    * @param {string} event - Event type name
    * @param {*} data - JSON-serializable payload
    */
   broadcast(sessionId, event, data) {
+    const id = (this.seq.get(sessionId) || 0) + 1;
+    this.seq.set(sessionId, id);
+
+    const payload = `id: ${BOOT_ID}:${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    metrics.inc('sse_events_total', { event });
+
+    if (!this.backlog.has(sessionId)) this.backlog.set(sessionId, []);
+    const backlog = this.backlog.get(sessionId);
+    backlog.push({ id, payload });
+    if (backlog.length > BACKLOG_SIZE) backlog.shift();
+
     const set = this.clients.get(sessionId);
     if (!set || set.size === 0) return;
 
-    const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
     for (const res of set) {
       try {
         res.write(payload);
@@ -49,6 +81,18 @@ class SSEManager {
     }
   }
 
+  /**
+   * Broadcast an event to every session that has clients connected
+   * (server-wide notices such as global budget warnings).
+   * @param {string} event
+   * @param {*} data
+   */
+  broadcastAll(event, data) {
+    for (const sessionId of [...this.clients.keys()]) {
+      this.broadcast(sessionId, event, data);
+    }
+  }
+
   /**
    * Check if a session has any connected SSE clients.
    * @param {string} sessionId
@@ -58,6 +102,48 @@ class SSEManager {
     const set = this.clients.get(sessionId);
     return set ? set.size > 0 : false;
   }
+
+  /**
+   * ID of the most recent event broadcast for a session ("<boot>:0" if none yet).
+   * Clients that load history over HTTP resume the stream from here.
+   * @param {string} sessionId
+   * @returns {string}
+   */
+  lastId(sessionId) {
+    return `${BOOT_ID}:${this.seq.get(sessionId) || 0}`;
+  }
+
+  /**
+   * Drop the event backlog and counter for a deleted session.
+   * @param {string} sessionId
+   */
+  clear(sessionId) {
+    this.seq.delete(sessionId);
+    this.backlog.delete(sessionId);
+  }
+
+  // ─── Internal ─────────────────────────────────────────────────
+
+  _replay(sessionId, res, lastEventId) {
+    const current = this.seq.get(sessionId) || 0;
+    const backlog = this.backlog.get(sessionId) || [];
+    const oldest = backlog.length ? backlog[0].id : current + 1;
+    const [boot, n] = String(lastEventId).split(':');
+    const seen = Number(n);
+
+    // An ID from another boot means the server restarted; one that fell off the
+    // end of the backlog has lost events we can't replay. Either way the client
+    // must reload the history snapshot — the gap event carries the current ID so it resumes from there.
+    if (boot !== BOOT_ID || !Number.isInteger(seen) || seen > current || seen < oldest - 1) {
+      const currentId = this.lastId(sessionId);
+      res.write(`id: ${currentId}\nevent: replay_gap\ndata: ${JSON.stringify({ lastEventId, currentId })}\n\n`);
+      return;
+    }
+
+    for (const entry of backlog) {
+      if (entry.id > seen) res.write(entry.payload);
+    }
+  }
 }
 
 export default new SSEManager();
@@ -0,0 +1,166 @@
+/**
+ * Usage Ledger
+ * One line per finished turn in data/usage.jsonl — cost, tokens, duration,
+ * model, session and working directory — and the aggregates behind the
+ * usage dashboard. Unlike session totals, entries outlive deleted sessions;
+ * they're kept for the longest range the dashboard reports (MAX_DAYS).
+ */
+
+import { readFileSync, writeFileSync, appendFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = join(__dirname, '..', 'data');
+const USAGE_FILE = join(DATA_DIR, 'usage.jsonl');
+
+const MAX_DAYS = 366;
+
+class UsageLedger {
+  constructor() {
+    /** @type {object[]} Turns within the last MAX_DAYS, oldest first */
+    this.entries = [];
+    this._load();
+  }
+
+  _load() {
+    if (!existsSync(USAGE_FILE)) return;
+    let lines;
+    try {
+      lines = readFileSync(USAGE_FILE, 'utf-8').split('\n').filter(Boolean);
+    } catch (err) {
+      console.error('[UsageLedger] Load error:', err.message);
+      return;
+    }
+    for (const line of lines) {
+      try {
+        this.entries.push(JSON.parse(line));
+      } catch {
+        // Skip a torn last line
+      }
+    }
+
+    // Rewrite the file without what aged out (or was torn)
+    if (this._prune() || this.entries.length < lines.length) {
+      try {
+        writeFileSync(USAGE_FILE, this.entries.map(e => JSON.stringify(e) + '\n').join(''));
+      } catch (err) {
+        console.error('[UsageLedger] Write error:', err.message);
+      }
+    }
+  }
+
+  /**
+   * Drop entries older than the longest summary window from memory.
+   * @returns {number} How many were dropped
+   */
+  _prune() {
+    const cutoff = windowStart(MAX_DAYS);
+    let drop = 0;
+    while (drop < this.entries.length && !(this.entries[drop].ts >= cutoff)) drop++;
+    if (drop) this.entries.splice(0, drop);
+    return drop;
+  }
+
+  /**
+   * Append one finished turn.
+   * @param {object} session
+   * @param {object} result - The result summary AgentRunner broadcasts
+   */
+  record(session, result) {
+    const entry = {
+      ts: new Date().toISOString(),
+      sessionId: session.id,
+      sessionName: session.name,
+      cwd: session.cwd,
+      model: session.model,
+      cost: result.cost,
+      input: result.usage.input,
+      output: result.usage.output,
+      cacheRead: result.usage.cache_read,
+      cacheCreate: result.usage.cache_create,
+      duration: result.duration,
+      numTurns: result.numTurns,
+      isError: result.isError
+    };
+    this.entries.push(entry);
+    this._prune();
+    try {
+      mkdirSync(DATA_DIR, { recursive: true });
+      appendFileSync(USAGE_FILE, JSON.stringify(entry) + '\n');
+    } catch (err) {
+      console.error('[UsageLedger] Write error:', err.message);
+    }
+  }
+
+  /**
+   * Totals over the last N days (UTC), broken down by day, model and project.
+   * Every day in the window is present in byDay, with zeros when idle.
+   * @param {object} [opts]
+   * @param {number} [opts.days=30]
+   * @returns {object} {days, since, totals, byDay, byModel, byProject}
+   */
+  summary({ days = 30 } = {}) {
+    days = Math.min(Math.max(1, Math.floor(days)), MAX_DAYS);
+    const since = windowStart(days);
+    const start = new Date(since);
+
+    const byDay = new Map();
+    for (let i = 0; i < days; i++) {
+      const day = new Date(start.getTime() + i * 86400000).toISOString().slice(0, 10);
+      byDay.set(day, { day, ...emptyTotals() });
+    }
+    const byModel = new Map();
+    const byProject = new Map();
+    const totals = emptyTotals();
+
+    for (const e of this.entries) {
+      if (e.ts < since) continue;
+      add(totals, e);
+      const day = byDay.get(e.ts.slice(0, 10));
+      if (day) add(day, e);
+      add(group(byModel, 'model', e.model || 'unknown'), e);
+      add(group(byProject, 'cwd', e.cwd || 'unknown'), e);
+    }
+
+    const byCost = (a, b) => b.cost - a.cost;
+    return {
+      days,
+      since,
+      totals,
+      byDay: [...byDay.values()],
+      byModel: [...byModel.values()].sort(byCost),
+      byProject: [...byProject.values()].sort(byCost)
+    };
+  }
+}
+
+/** Midnight UTC at the start of a window of `days` days ending today, as an ISO string. */
+function windowStart(days) {
+  const start = new Date();
+  start.setUTCHours(0, 0, 0, 0);
+  start.setUTCDate(start.getUTCDate() - (days - 1));
+  return start.toISOString();
+}
+
+function emptyTotals() {
+  return { cost: 0, turns: 0, errors: 0, input: 0, output: 0, cacheRead: 0, cacheCreate: 0, duration: 0 };
+}
+
+function group(map, key, value) {
+  if (!map.has(value)) map.set(value, { [key]: value, ...emptyTotals() });
+  return map.get(value);
+}
+
+function add(totals, e) {
+  totals.cost += e.cost || 0;
+  totals.turns += 1;
+  if (e.isError) totals.errors += 1;
+  totals.input += e.input || 0;
+  totals.output += e.output || 0;
+  totals.cacheRead += e.cacheRead || 0;
+  totals.cacheCreate += e.cacheCreate || 0;
+  totals.duration += e.duration || 0;
+}
+
+export default new UsageLedger();
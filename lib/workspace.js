@@ -0,0 +1,178 @@
+/**
+ * Workspace
+ * Read-only view of the files under a session's working directory, for the
+ * file browser. Paths are relative to the cwd and can't leave it — not with
+ * `..`, not through a symlink.
+ */
+
+import { readdirSync, statSync, realpathSync, openSync, readSync, closeSync } from 'fs';
+import { resolve, relative, isAbsolute, join, sep } from 'path';
+
+export const MAX_FILE_BYTES = 1024 * 1024; // Larger files are listed but not shown
+const MAX_ENTRIES = 2000;                  // Per directory listing
+const SNIFF_BYTES = 8192;                  // Read to decide text vs. binary
+
+// Edits to these tools' file_path mark a file as touched
+const WRITE_TOOLS = ['Edit', 'MultiEdit', 'Write', 'NotebookEdit'];
+
+class Workspace {
+  /**
+   * Resolve a relative path inside a root directory.
+   * @param {string} root - Session cwd
+   * @param {string} [relPath]
+   * @returns {string|null} Absolute path, or null if it points outside the root
+   */
+  resolve(root, relPath = '') {
+    const full = resolve(root, relPath);
+    if (!this._inside(root, full)) return null;
+
+    // Symlinks may point anywhere; check where they actually lead
+    try {
+      if (!this._inside(realpathSync(root), realpathSync(full))) return null;
+    } catch {
+      // Doesn't exist — nothing to follow, and callers report it as missing
+    }
+    return full;
+  }
+
+  /**
+   * List a directory, directories first.
+   * @param {string} root
+   * @param {string} [relPath]
+   * @returns {{path: string, entries: object[], truncated: boolean}|null} null if it isn't a readable directory.
+   *   Entries are {name, path, type: 'dir'|'file', size, mtime}.
+   */
+  list(root, relPath = '') {
+    const dir = this.resolve(root, relPath);
+    if (!dir) return null;
+
+    let names;
+    try {
+      names = readdirSync(dir);
+    } catch {
+      return null;
+    }
+
+    const entries = [];
+    for (const name of names) {
+      try {
+        const stat = statSync(join(dir, name));
+        if (!stat.isDirectory() && !stat.isFile()) continue;
+        entries.push({
+          name,
+          path: this._relative(root, join(dir, name)),
+          type: stat.isDirectory() ? 'dir' : 'file',
+          size: stat.isFile() ? stat.size : null,
+          mtime: stat.mtime.toISOString()
+        });
+      } catch {
+        // Broken symlink or a file that vanished mid-listing
+      }
+    }
+
+    entries.sort((a, b) => (a.type === b.type ? a.name.localeCompare(b.name) : a.type === 'dir' ? -1 : 1));
+    return {
+      path: this._relative(root, dir),
+      entries: entries.slice(0, MAX_ENTRIES),
+      truncated: entries.length > MAX_ENTRIES
+    };
+  }
+
+  /**
+   * Read a text file. Binary and oversized files come back without content.
+   * @param {string} root
+   * @param {string} relPath
+   * @returns {object|null} {path, size, mtime, binary, tooLarge, content}, or null if it isn't a readable file
+   */
+  read(root, relPath) {
+    const file = this.resolve(root, relPath);
+    if (!file) return null;
+
+    let stat;
+    try {
+      stat = statSync(file);
+    } catch {
+      return null;
+    }
+    if (!stat.isFile()) return null;
+
+    const info = {
+      path: this._relative(root, file),
+      size: stat.size,
+      mtime: stat.mtime.toISOString(),
+      binary: false,
+      tooLarge: stat.size > MAX_FILE_BYTES,
+      content: null
+    };
+
+    let fd;
+    try {
+      fd = openSync(file, 'r');
+      const data = Buffer.alloc(info.tooLarge ? SNIFF_BYTES : stat.size);
+      const bytes = readSync(fd, data, 0, data.length, 0);
+      const head = data.subarray(0, bytes);
+
+      info.binary = !this._isText(head, info.tooLarge);
+      if (!info.binary && !info.tooLarge) info.content = head.toString('utf-8');
+    } catch (err) {
+      console.error('[Workspace] Read error:', err.message);
+      return null;
+    } finally {
+      if (fd !== undefined) closeSync(fd);
+    }
+    return info;
+  }
+
+  /**
+   * Files a session's Edit/Write tool calls changed, most recent first.
+   * @param {string} root - Session cwd
+   * @param {object[]} messages - Session history
+   * @returns {object[]} {path, inside, tool, count, lastAt}; paths outside the cwd are kept absolute
+   */
+  touched(root, messages) {
+    const files = new Map();
+    for (const m of messages) {
+      if (m.role !== 'assistant') continue;
+      for (const tc of m.toolCalls || []) {
+        const target = tc.input?.file_path || tc.input?.notebook_path;
+        if (!WRITE_TOOLS.includes(tc.tool) || typeof target !== 'string') continue;
+
+        const full = resolve(root, target);
+        const inside = this._inside(root, full);
+        const path = inside ? this._relative(root, full) : full;
+        const entry = files.get(path) || { path, inside, tool: tc.tool, count: 0, lastAt: null };
+        entry.tool = tc.tool;
+        entry.count++;
+        entry.lastAt = m.timestamp || entry.lastAt;
+        files.delete(path); // Re-insert so the most recent edit sorts last
+        files.set(path, entry);
+      }
+    }
+    return [...files.values()].reverse();
+  }
+
+  // ─── Internal ─────────────────────────────────────────────────
+
+  _inside(root, full) {
+    const rel = relative(resolve(root), full);
+    return rel === '' || (rel !== '..' && !rel.startsWith('..' + sep) && !isAbsolute(rel));
+  }
+
+  /** Path relative to the root with forward slashes, '' for the root itself. */
+  _relative(root, full) {
+    return relative(resolve(root), full).split(sep).join('/');
+  }
+
+  /** UTF-8 without NULs. A cut-off sample may end mid-character, so allow that. */
+  _isText(data, partial) {
+    if (data.includes(0)) return false;
+    try {
+      new TextDecoder('utf-8', { fatal: true }).decode(data, { stream: partial });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+export default new Workspace();
@@ -13,12 +13,45 @@ const App = {
     /** @type {string} Accumulated streaming text for current assistant message */
     streamBuffer: '',
 
+    /** @type {string} Extended thinking accumulated for the current stream */
+    thinkingBuffer: '',
+
     /** @type {string|null} Current streaming message element ID */
     streamMsgId: null,
 
+    /** @type {boolean} Whether the current session has a run in progress */
+    running: false,
+
+    /** @type {object[]} Prompts queued behind the current run */
+    _queue: [],
+
+    /** @type {object[]} Current session's TodoWrite plan */
+    _todos: [],
+
+    /** @type {object[]} Uploaded attachments waiting to go out with the next message */
+    pendingAttachments: [],
+
     /** @type {Map<string, {tool: string, input: string}>} Tool calls being accumulated */
     activeTools: new Map(),
 
+    /** @type {string|null} Oldest loaded history message ID — cursor for loading earlier pages */
+    _historyCursor: null,
+
+    /** @type {string|null} Session whose settings the modal is editing (null = creating) */
+    _editingSession: null,
+
+    /** @type {number|null} Debounce timer for checking the typed working directory */
+    _cwdCheckTimer: null,
+
+    /** @type {string|null} Folder the picker's Up button goes to (null = roots and recent) */
+    _dirParent: null,
+
+    /** @type {number|null} Debounce timer for the sidebar search box */
+    _searchTimer: null,
+
+    /** @type {number} Day range shown on the usage dashboard */
+    _usageDays: 30,
+
     /** @type {number|null} Thinking sayings rotation timer */
     _thinkTimer: null,
 
@@ -44,6 +77,22 @@ const App = {
         'Charging fusion cannon...', 'Executing with prejudice...',
     ],
 
+    /** Tools whose file_path marks a file as changed in the file browser */
+    writeTools: ['Edit', 'MultiEdit', 'Write', 'NotebookEdit'],
+
+    /** @type {Set<string>} Files (relative to cwd) changed in the current session */
+    _touched: new Set(),
+
+    /** @type {Set<string>} Expanded directories in the file browser, kept across refreshes */
+    _openDirs: new Set(),
+
+    /** Sidebar badges for sessions that don't ask before every tool */
+    permissionBadges: {
+        acceptEdits: { label: 'edits', level: 'info' },
+        plan: { label: 'plan', level: 'purple' },
+        bypassPermissions: { label: 'bypass', level: 'error' },
+    },
+
     // ─── DOM References ───────────────────────────────────────────
 
     els: {
@@ -58,10 +107,17 @@ const App = {
         headerSessionName: null,
         headerCwd: null,
         modelSelect: null,
+        permissionSelect: null,
+        exportSelect: null,
+        searchInput: null,
+        searchResults: null,
         connDot: null,
         connText: null,
         costSummary: null,
         inputStatus: null,
+        queueList: null,
+        attachmentStrip: null,
+        btnAttach: null,
         modalOverlay: null,
     },
 
@@ -80,10 +136,17 @@ const App = {
         this.els.headerSessionName = document.getElementById('header-session-name');
         this.els.headerCwd = document.getElementById('header-cwd');
         this.els.modelSelect = document.getElementById('model-select');
+        this.els.permissionSelect = document.getElementById('permission-select');
+        this.els.exportSelect = document.getElementById('export-select');
+        this.els.searchInput = document.getElementById('search-input');
+        this.els.searchResults = document.getElementById('search-results');
         this.els.connDot = document.getElementById('conn-dot');
         this.els.connText = document.getElementById('conn-text');
         this.els.costSummary = document.getElementById('cost-summary');
         this.els.inputStatus = document.getElementById('input-status');
+        this.els.queueList = document.getElementById('queue-list');
+        this.els.attachmentStrip = document.getElementById('attachment-strip');
+        this.els.btnAttach = document.getElementById('btn-attach');
         this.els.modalOverlay = document.getElementById('modal-overlay');
 
         // Event listeners
@@ -135,6 +198,39 @@ const App = {
             }
         });
 
+        // Attachments: picker, drag-and-drop onto the input area, clipboard paste
+        const fileInput = document.getElementById('file-input');
+        this.els.btnAttach.addEventListener('click', () => fileInput.click());
+        this.els.attachmentStrip.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-attachment-id]');
+            if (btn) this.removeAttachment(btn.dataset.attachmentId);
+        });
+        fileInput.addEventListener('change', () => {
+            this.uploadFiles(Array.from(fileInput.files));
+            fileInput.value = '';
+        });
+
+        const inputArea = document.getElementById('input-area');
+        inputArea.addEventListener('dragover', (e) => {
+            if (!this.currentSession) return;
+            e.preventDefault();
+            inputArea.classList.add('dragging');
+        });
+        inputArea.addEventListener('dragleave', () => inputArea.classList.remove('dragging'));
+        inputArea.addEventListener('drop', (e) => {
+            inputArea.classList.remove('dragging');
+            if (!this.currentSession || e.dataTransfer.files.length === 0) return;
+            e.preventDefault();
+            this.uploadFiles(Array.from(e.dataTransfer.files));
+        });
+
+        this.els.promptInput.addEventListener('paste', (e) => {
+            const files = Array.from(e.clipboardData?.files || []);
+            if (files.length === 0) return;
+            e.preventDefault();
+            this.uploadFiles(files);
+        });
+
         // Auto-resize textarea + slash command detection
         this.els.promptInput.addEventListener('input', () => {
             const el = this.els.promptInput;
@@ -146,17 +242,209 @@ const App = {
         // Modal listeners
         document.getElementById('modal-cancel').addEventListener('click', () => this.hideModal());
         document.getElementById('modal-create').addEventListener('click', () => this.createSession());
+        document.getElementById('modal-cwd-browse').addEventListener('click', () => this.toggleDirPicker());
+        document.getElementById('dir-picker-up').addEventListener('click', () => this.browseDir(this._dirParent));
+        document.getElementById('modal-cwd').addEventListener('input', () => {
+            clearTimeout(this._cwdCheckTimer);
+            this._cwdCheckTimer = setTimeout(() => this.checkCwd(), 300);
+        });
         this.els.modalOverlay.addEventListener('click', (e) => {
             if (e.target === this.els.modalOverlay) this.hideModal();
         });
 
-        // Model selector change
+        // Session list: open a session, delete it, or jump to a fork's branch point
+        this.els.sessionList.addEventListener('click', (e) => {
+            const item = e.target.closest('.cw-session-item');
+            if (!item) return;
+            const fork = e.target.closest('.cw-session-item-fork');
+            if (fork) this.jumpToMessage(fork.dataset.sessionId, fork.dataset.messageId);
+            else if (e.target.closest('.cw-session-item-delete')) this.deleteSession(item.dataset.id);
+            else this.selectSession(item.dataset.id);
+        });
+
+        // Sidebar search
+        this.els.searchInput.addEventListener('input', () => this.onSearchInput());
+        this.els.searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.clearSearch();
+        });
+        this.els.searchResults.addEventListener('click', (e) => {
+            const hit = e.target.closest('.cw-search-hit');
+            if (hit) this.jumpToMessage(hit.dataset.sessionId, hit.dataset.messageId, hit.dataset.toolCallId || null);
+        });
+
+        // Queue rows: edit, save, cancel, remove, and resume when on hold
+        this.els.queueList.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            if (!btn) return;
+            const itemId = btn.closest('.cw-queue-item')?.dataset.id;
+            switch (btn.dataset.action) {
+                case 'resume': return this.resumeQueue();
+                case 'edit': return this.editQueued(itemId);
+                case 'save': return this.saveQueued(itemId);
+                case 'cancel': return this.renderQueue(this._queue, this._queuePaused);
+                case 'remove': return this.removeQueued(itemId);
+            }
+        });
+
+        // Approve / deny buttons on permission cards in the transcript
+        this.els.messages.addEventListener('click', (e) => {
+            const btn = e.target.closest('.cw-permission-actions [data-decision]');
+            if (btn) this.respondPermission(btn.closest('.cw-permission-card').dataset.requestId, btn.dataset.decision);
+        });
+
+        // Plan panel collapses to its one-line progress
+        document.getElementById('todo-header').addEventListener('click', () => {
+            document.getElementById('todo-panel').classList.toggle('collapsed');
+        });
+
+        // Usage dashboard; range tabs only re-query, there are no panels to switch
+        document.getElementById('btn-usage').addEventListener('click', () => this.toggleUsage());
+        new CbTabs({
+            tabSelector: '#usage-range .cb-tab',
+            contentSelector: '#usage-range .cb-tab-content',
+            onChange: (days) => {
+                this._usageDays = parseInt(days, 10);
+                this.loadUsage();
+            },
+        });
+
+        // CLI import modal
+        const importOverlay = document.getElementById('import-overlay');
+        document.getElementById('btn-import').addEventListener('click', () => this.showImportModal());
+        document.getElementById('import-cancel').addEventListener('click', () => this.hideImportModal());
+        document.getElementById('import-scan').addEventListener('click', () => this.scanCliSessions());
+        document.getElementById('import-cwd').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.scanCliSessions();
+        });
+        importOverlay.addEventListener('click', (e) => {
+            if (e.target === importOverlay) this.hideImportModal();
+        });
+        document.getElementById('import-list').addEventListener('click', (e) => {
+            const btn = e.target.closest('button');
+            if (btn?.dataset.import) this.importCliSession(btn.dataset.import);
+            else if (btn?.dataset.open) {
+                this.hideImportModal();
+                this.selectSession(btn.dataset.open);
+            }
+        });
+
+        // Model switches take effect on the next turn
         this.els.modelSelect.addEventListener('change', () => {
-            // Model is read at send time, no action needed
+            this.updateSession({ model: this.els.modelSelect.value });
+        });
+        document.getElementById('btn-settings').addEventListener('click', () => this.showSettings());
+
+        // Workspace file browser + viewer
+        document.getElementById('btn-files').addEventListener('click', () => this.toggleFiles());
+        document.getElementById('btn-files-close').addEventListener('click', () => this.toggleFiles());
+        document.getElementById('btn-files-refresh').addEventListener('click', () => this.loadFiles());
+        for (const id of ['files-tree', 'files-touched']) {
+            document.getElementById(id).addEventListener('click', (e) => {
+                const node = e.target.closest('.cw-file-node');
+                if (!node) return;
+                if (node.dataset.type === 'dir') this.toggleDir(node);
+                else if (node.dataset.path) this.openFile(node.dataset.path);
+            });
+        }
+        const fileOverlay = document.getElementById('file-overlay');
+        document.getElementById('file-viewer-close').addEventListener('click', () => {
+            fileOverlay.style.display = 'none';
+        });
+        fileOverlay.addEventListener('click', (e) => {
+            if (e.target === fileOverlay) fileOverlay.style.display = 'none';
         });
 
-        // Load config then sessions
-        this.loadConfig().then(() => this.loadSessions());
+        // Export menu downloads, then snaps back to its placeholder
+        this.els.exportSelect.addEventListener('change', () => {
+            this.exportSession(this.els.exportSelect.value);
+            this.els.exportSelect.value = '';
+        });
+
+        // Permission mode applies mid-run, so send it right away
+        this.els.permissionSelect.addEventListener('change', () => {
+            this.updateSession({ permissionMode: this.els.permissionSelect.value });
+        });
+
+        // Login form
+        document.getElementById('login-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.login();
+        });
+        document.getElementById('btn-logout').addEventListener('click', () => this.logout());
+        this._watchAuth();
+
+        // Check auth, then load config and sessions
+        this.checkAuth().then(ok => {
+            if (ok) this.loadConfig().then(() => this.loadSessions());
+        });
+    },
+
+    // ─── Auth ─────────────────────────────────────────────────────
+
+    /**
+     * @returns {Promise<boolean>} True if the app may load (signed in or no auth configured)
+     */
+    async checkAuth() {
+        try {
+            const res = await fetch('/api/auth/status');
+            const status = await res.json();
+            document.getElementById('btn-logout').style.display = status.required ? '' : 'none';
+            if (status.authenticated) return true;
+        } catch {}
+        this.showLogin();
+        return false;
+    },
+
+    /** Any 401 from the API means the cookie expired — bring the login back. */
+    _watchAuth() {
+        const origFetch = window.fetch.bind(window);
+        window.fetch = async (...args) => {
+            const res = await origFetch(...args);
+            if (res.status === 401 && !String(args[0]).startsWith('/api/auth/')) this.showLogin();
+            return res;
+        };
+    },
+
+    showLogin() {
+        document.getElementById('login-overlay').style.display = 'flex';
+        document.getElementById('login-error').textContent = '';
+        document.getElementById('login-password').focus();
+    },
+
+    async login() {
+        const input = document.getElementById('login-password');
+        const errorEl = document.getElementById('login-error');
+        try {
+            const res = await fetch('/api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ password: input.value })
+            });
+
+            if (!res.ok) {
+                const err = await res.json();
+                errorEl.textContent = err.error || 'Sign in failed';
+                input.select();
+                return;
+            }
+
+            input.value = '';
+            document.getElementById('login-overlay').style.display = 'none';
+            document.getElementById('btn-logout').style.display = '';
+            await this.loadConfig();
+            await this.loadSessions();
+            if (this.currentSession) this.selectSession(this.currentSession);
+        } catch (err) {
+            errorEl.textContent = err.message;
+        }
+    },
+
+    async logout() {
+        try {
+            await fetch('/api/auth/logout', { method: 'POST' });
+        } catch {}
+        this.disconnectSSE();
+        location.reload();
     },
 
     // ─── Config ───────────────────────────────────────────────────
@@ -204,7 +492,7 @@ const App = {
     _checkSlashCommand() {
         const val = this.els.promptInput.value;
         // Only trigger if line starts with / and no spaces yet (still typing command name)
-        const match = val.match(/^\/([a-zA-Z0-9_-]*)$/);
+        const match = val.match(/^\/([\w:-]*)$/);
         if (!match) {
             this._hideAutocomplete();
             return;
@@ -238,8 +526,9 @@ const App = {
         ac.innerHTML = matches.map((cmd, i) =>
             `<div class="cw-cmd-item ${i === 0 ? 'selected' : ''}" data-name="${CbUtils.escapeHtml(cmd.name)}" onclick="App._selectCmd('${CbUtils.escapeHtml(cmd.name)}')">
                 <span class="cw-cmd-name">/${CbUtils.escapeHtml(cmd.name)}</span>
+                ${cmd.argumentHint ? `<span class="cw-cmd-hint">${CbUtils.escapeHtml(cmd.argumentHint)}</span>` : ''}
                 <span class="cw-cmd-desc">${CbUtils.escapeHtml(cmd.description)}</span>
-                <span class="cw-cmd-source cb-tiny cb-dim">${cmd.source}</span>
+                <span class="cw-cmd-source cb-tiny cb-dim">${cmd.model ? `${CbUtils.escapeHtml(cmd.model)} · ` : ''}${cmd.source}</span>
             </div>`
         ).join('');
     },
@@ -302,18 +591,31 @@ const App = {
             const timeAgo = CbUtils.formatTimeAgo(new Date(s.lastActiveAt));
             const model = s.model?.includes('opus') ? 'Opus'
                 : s.model?.includes('haiku') ? 'Haiku' : 'Sonnet';
-
-            return `<div class="cw-session-item ${active}" data-id="${s.id}" onclick="App.selectSession('${s.id}')">
+            const badge = this.permissionBadges[s.permissionMode];
+            const badgeHtml = badge
+                ? `<span class="cb-badge ${CbUtils.badgeClass(badge.level)} cw-mode-badge" title="Permission mode: ${s.permissionMode}">${badge.label}</span>`
+                : '';
+
+            const fork = s.forkedFrom;
+            const forkHtml = fork
+                ? `<div class="cw-session-item-fork" data-session-id="${CbUtils.escapeAttr(fork.sessionId)}" data-message-id="${CbUtils.escapeAttr(fork.messageId)}" title="Open the parent session at the branch point">
+                    &#9282; ${CbUtils.escapeHtml(fork.sessionName)}${fork.preview ? ` &middot; &ldquo;${CbUtils.escapeHtml(fork.preview)}&rdquo;` : ''}
+                </div>`
+                : '';
+
+            return `<div class="cw-session-item ${active}" data-id="${CbUtils.escapeAttr(s.id)}">
                 <div class="cw-session-item-header">
                     <div class="cb-dot cb-dot-sm ${dotClass}"></div>
                     <span class="cw-session-item-name">${CbUtils.escapeHtml(s.name)}</span>
-                    <button class="cw-session-item-delete" onclick="event.stopPropagation(); App.deleteSession('${s.id}')" title="Delete">&times;</button>
+                    ${badgeHtml}
+                    <button class="cw-session-item-delete" title="Delete">&times;</button>
                 </div>
                 <div class="cw-session-item-meta">
                     <span>${model}</span>
                     <span>${s.messageCount || 0} msgs</span>
                     <span>${timeAgo}</span>
                 </div>
+                ${forkHtml}
             </div>`;
         }).join('');
     },
@@ -321,6 +623,7 @@ const App = {
     async selectSession(id) {
         // Close sidebar on mobile
         this.closeSidebar();
+        this.hideUsage();
 
         // Disconnect from old session
         this.disconnectSSE();
@@ -343,68 +646,158 @@ const App = {
 
             // Update UI
             this.renderSessionList(sessions);
-            this.els.headerSessionName.textContent = session.name;
-            this.els.headerCwd.textContent = session.cwd;
-            this.els.headerCwd.title = session.cwd;
-            this.els.modelSelect.value = session.model;
+            this.applySessionSettings(session);
             this.els.promptInput.disabled = false;
             this.els.btnSend.disabled = false;
+            this.els.btnAttach.disabled = false;
+            this.els.exportSelect.disabled = false;
+            document.getElementById('btn-settings').disabled = false;
+            document.getElementById('btn-files').disabled = false;
+            this._openDirs.clear();
+            if (this._filesOpen()) this.loadFiles();
+            this.pendingAttachments = [];
+            this.renderAttachmentStrip();
+            this.renderTodos(session.todos);
+            this.renderMcpStatus(session.mcpStatus);
             this.updateCost(session);
 
-            // Render history
+            // Render history (most recent page; earlier pages load on demand)
             this.els.emptyState.style.display = 'none';
             this.els.messages.classList.add('active');
             this.els.messages.innerHTML = '';
 
-            for (const msg of history) {
-                if (msg.role === 'user') {
-                    this.appendUserMessage(msg.content);
-                } else if (msg.role === 'assistant') {
-                    this.appendAssistantMessage(msg);
-                }
+            if (history.hasMore) {
+                this.els.messages.innerHTML = `<button class="cb-btn cw-load-earlier" id="load-earlier" onclick="App.loadEarlierMessages()">Load earlier messages</button>`;
+            }
+            for (const msg of history.messages) {
+                this.renderHistoryMessage(msg);
             }
+            this._historyCursor = history.messages[0]?.id || null;
 
             this.scrollToBottom();
 
-            // Connect SSE + load slash commands for this session's cwd
-            this.connectSSE(id);
+            // Connect SSE from where the history snapshot ends, so nothing
+            // broadcast while it loaded is lost; then load slash commands
+            this.connectSSE(id, history.lastEventId);
             this.loadCommands(session.cwd);
 
             // Update running state UI
             this.setRunningState(session.status === 'running');
 
+            // Re-show approvals that are still waiting on an answer, and the queue
+            const [pendingRes, queueRes] = await Promise.all([
+                fetch(`/api/chat/${id}/permission`),
+                fetch(`/api/sessions/${id}/queue`)
+            ]);
+            for (const req of await pendingRes.json()) {
+                this.handlePermissionRequest(req);
+            }
+            const queue = await queueRes.json();
+            this.renderQueue(queue.items, queue.paused);
+
         } catch (err) {
             console.error('Failed to select session:', err);
         }
     },
 
+    async loadEarlierMessages() {
+        const id = this.currentSession;
+        if (!id || !this._historyCursor) return;
+
+        try {
+            const res = await fetch(`/api/sessions/${id}/history?before=${encodeURIComponent(this._historyCursor)}`);
+            const page = await res.json();
+            if (id !== this.currentSession) return;
+
+            // Render into a detached holder, then splice in below the button
+            const holder = document.createElement('div');
+            for (const msg of page.messages) {
+                this.renderHistoryMessage(msg, holder);
+            }
+
+            // Keep the viewport anchored on what the user was looking at
+            const chat = document.getElementById('chat-area');
+            const prevHeight = chat.scrollHeight;
+            const btn = document.getElementById('load-earlier');
+            btn.after(...holder.childNodes);
+            chat.scrollTop += chat.scrollHeight - prevHeight;
+
+            this._historyCursor = page.messages[0]?.id || null;
+            if (!page.hasMore) btn.remove();
+        } catch (err) {
+            console.error('Failed to load earlier messages:', err);
+        }
+    },
+
     showModal() {
+        this._editingSession = null;
+        document.getElementById('modal-title').textContent = 'New Session';
+        document.getElementById('modal-create').textContent = 'Create Session';
         this.els.modalOverlay.style.display = 'flex';
         document.getElementById('modal-name').value = '';
         document.getElementById('modal-cwd').value = this._defaultCwd || '';
-        document.getElementById('modal-model').value = this._defaultModel || 'claude-sonnet-4-5-20250929';
+        this._selectModel(document.getElementById('modal-model'), this._defaultModel || 'claude-sonnet-4-5-20250929');
+        document.getElementById('modal-permission-mode').value = 'default';
+        document.getElementById('modal-thinking').value = '';
+        document.getElementById('modal-budget').value = '';
+        this._fillAdvanced({});
+        this._resetDirPicker();
         document.getElementById('modal-cwd').focus();
     },
 
     hideModal() {
         this.els.modalOverlay.style.display = 'none';
+        clearTimeout(this._cwdCheckTimer);
+    },
+
+    /** The New Session modal doubles as the settings editor for the current session. */
+    async showSettings() {
+        if (!this.currentSession) return;
+        try {
+            const res = await fetch('/api/sessions');
+            const session = (await res.json()).find(s => s.id === this.currentSession);
+            if (!session) return;
+
+            this._editingSession = session.id;
+            document.getElementById('modal-title').textContent = 'Session Settings';
+            document.getElementById('modal-create').textContent = 'Save';
+            document.getElementById('modal-name').value = session.name;
+            document.getElementById('modal-cwd').value = session.cwd;
+            this._selectModel(document.getElementById('modal-model'), session.model);
+            document.getElementById('modal-permission-mode').value = session.permissionMode || 'default';
+            document.getElementById('modal-thinking').value = session.maxThinkingTokens ? String(session.maxThinkingTokens) : '';
+            document.getElementById('modal-budget').value = session.budgetUsd ?? '';
+            this._fillAdvanced(session);
+            this._resetDirPicker();
+            this.els.modalOverlay.style.display = 'flex';
+            document.getElementById('modal-name').focus();
+        } catch (err) {
+            console.error('Failed to load session settings:', err);
+        }
     },
 
     async createSession() {
+        if (this._editingSession) return this.saveSettings();
+
         const name = document.getElementById('modal-name').value.trim() || 'New Session';
         const cwd = document.getElementById('modal-cwd').value.trim();
         const model = document.getElementById('modal-model').value;
+        const permissionMode = document.getElementById('modal-permission-mode').value;
+        const maxThinkingTokens = Number(document.getElementById('modal-thinking').value) || null;
+        const budgetUsd = Number(document.getElementById('modal-budget').value) || null;
+        const advanced = this._readAdvanced();
 
         if (!cwd) {
             document.getElementById('modal-cwd').focus();
             return;
         }
+        if (!advanced) return;
 
         try {
             const res = await fetch('/api/sessions', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ name, cwd, model })
+                body: JSON.stringify({ name, cwd, model, permissionMode, maxThinkingTokens, budgetUsd, ...advanced })
             });
 
             if (!res.ok) {
@@ -422,6 +815,439 @@ const App = {
         }
     },
 
+    async forkFrom(messageId) {
+        if (!this.currentSession || !messageId) return;
+        try {
+            const res = await fetch(`/api/sessions/${this.currentSession}/fork`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ messageId })
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                this.appendSystemMessage('Error: ' + (data.error || 'Failed to fork session'));
+                return;
+            }
+
+            await this.selectSession(data.session.id);
+            if (data.prefill) {
+                this.els.promptInput.value = data.prefill;
+                this.els.promptInput.dispatchEvent(new Event('input'));
+            }
+            this.els.promptInput.focus();
+        } catch (err) {
+            console.error('Failed to fork session:', err);
+        }
+    },
+
+    /** Download the current transcript — the auth cookie rides along with a plain link. */
+    exportSession(format) {
+        if (!this.currentSession || !format) return;
+        const a = document.createElement('a');
+        a.href = `/api/sessions/${this.currentSession}/export?format=${format}`;
+        a.download = '';
+        a.click();
+    },
+
+    /**
+     * Open a session scrolled to one message (or one tool card), loading
+     * earlier history pages until it's on screen, and flash it.
+     */
+    async jumpToMessage(sessionId, messageId, toolCallId = null) {
+        if (sessionId !== this.currentSession) await this.selectSession(sessionId);
+
+        const find = () => toolCallId
+            ? document.getElementById(`tool-${toolCallId}`)
+            : this.els.messages.querySelector(`[data-msg-id="${CSS.escape(messageId)}"]`);
+        let el = find();
+        while (!el && document.getElementById('load-earlier')) {
+            const cursor = this._historyCursor;
+            await this.loadEarlierMessages();
+            if (this._historyCursor === cursor) break;
+            el = find();
+        }
+        if (!el) return;
+
+        if (toolCallId) el.classList.add('expanded');
+        // Open any subagent cards the target is nested in
+        for (let card = el.parentElement.closest('.cw-tool-card'); card; card = card.parentElement.closest('.cw-tool-card')) {
+            card.classList.add('expanded');
+        }
+        el.scrollIntoView({ block: 'center' });
+        el.classList.add('cw-msg-flash');
+        setTimeout(() => el.classList.remove('cw-msg-flash'), 2000);
+    },
+
+    // ─── Directory Picker ─────────────────────────────────────────
+
+    toggleDirPicker() {
+        const picker = document.getElementById('dir-picker');
+        if (picker.style.display !== 'none') {
+            picker.style.display = 'none';
+            return;
+        }
+        picker.style.display = '';
+        this.browseDir(document.getElementById('modal-cwd').value.trim() || null);
+    },
+
+    /**
+     * Show a folder's subfolders, or the workspace roots and recent folders when
+     * path is null. Opening a folder makes it the working directory.
+     * A path the server won't list (outside the roots, missing) falls back to the roots.
+     */
+    async browseDir(path) {
+        const list = document.getElementById('dir-picker-list');
+        try {
+            const res = await fetch('/api/directories' + (path ? `?path=${encodeURIComponent(path)}` : ''));
+            const data = await res.json();
+            if (!res.ok) {
+                if (path) return this.browseDir(null);
+                throw new Error(data.error || res.statusText);
+            }
+
+            list.innerHTML = '';
+            document.getElementById('dir-picker-up').disabled = !path;
+            document.getElementById('dir-picker-path').textContent = path ? data.path : 'Workspace roots';
+            this._dirParent = path ? data.parent : null;
+
+            if (!path) {
+                this._dirSection(list, 'Recent', data.recent);
+                this._dirSection(list, 'Roots', data.roots);
+                return;
+            }
+
+            document.getElementById('modal-cwd').value = data.path;
+            this._showCwdStatus(data);
+            this._dirSection(list, null, data.entries);
+            if (data.entries.length === 0) list.insertAdjacentHTML('beforeend', '<div class="cw-files-empty">No subfolders</div>');
+            if (data.truncated) list.insertAdjacentHTML('beforeend', '<div class="cw-files-empty">More folders not shown</div>');
+        } catch (err) {
+            list.innerHTML = `<div class="cw-files-empty">${CbUtils.escapeHtml(err.message)}</div>`;
+        }
+    },
+
+    /** Look up the typed working directory and say whether it exists. */
+    async checkCwd() {
+        const path = document.getElementById('modal-cwd').value.trim();
+        if (!path) return this._showCwdStatus(null);
+        try {
+            const res = await fetch(`/api/directories?path=${encodeURIComponent(path)}`);
+            if (path !== document.getElementById('modal-cwd').value.trim()) return;
+            if (res.status === 404) return this._showCwdStatus({ missing: true });
+            // Outside the roots the server can't say; creating the session will
+            this._showCwdStatus(res.ok ? await res.json() : null);
+        } catch {
+            this._showCwdStatus(null);
+        }
+    },
+
+    _resetDirPicker() {
+        document.getElementById('dir-picker').style.display = 'none';
+        this.checkCwd();
+    },
+
+    /** @param {object|null} dir - Listing from /api/directories, {missing: true}, or null to clear */
+    _showCwdStatus(dir) {
+        const el = document.getElementById('modal-cwd-status');
+        el.classList.toggle('error', !!dir?.missing);
+        if (!dir) el.textContent = '';
+        else if (dir.missing) el.textContent = 'Directory not found';
+        else el.textContent = [dir.git && 'Git repository', dir.claude && 'Claude project settings'].filter(Boolean).join(' · ') || 'Folder';
+    },
+
+    _dirSection(list, label, dirs) {
+        if (label && dirs.length) list.insertAdjacentHTML('beforeend', `<div class="cw-files-label">${label}</div>`);
+        for (const dir of dirs) {
+            const row = document.createElement('div');
+            row.className = 'cw-file-node dir';
+            row.title = dir.path;
+            const icon = document.createElement('span');
+            icon.className = 'cw-file-icon';
+            icon.innerHTML = '&#9656;';
+            const name = document.createElement('span');
+            name.className = 'cw-dir-name';
+            name.textContent = label === 'Recent' ? dir.path : dir.name;
+            row.append(icon, name);
+            if (dir.git) row.insertAdjacentHTML('beforeend', '<span class="cw-dir-tag">git</span>');
+            if (dir.claude) row.insertAdjacentHTML('beforeend', '<span class="cw-dir-tag">.claude</span>');
+            row.addEventListener('click', () => this.browseDir(dir.path));
+            list.appendChild(row);
+        }
+    },
+
+    // ─── Search ───────────────────────────────────────────────────
+
+    onSearchInput() {
+        clearTimeout(this._searchTimer);
+        const q = this.els.searchInput.value.trim();
+        if (!q) {
+            this.els.searchResults.style.display = 'none';
+            this.els.sessionList.style.display = '';
+            return;
+        }
+        this._searchTimer = setTimeout(() => this.search(q), 250);
+    },
+
+    async search(q) {
+        try {
+            const res = await fetch(`/api/search?q=${encodeURIComponent(q)}`);
+            const hits = await res.json();
+            if (q !== this.els.searchInput.value.trim()) return; // Typed on since
+            this.renderSearchResults(q, res.ok ? hits : []);
+        } catch (err) {
+            console.error('Search failed:', err);
+        }
+    },
+
+    renderSearchResults(q, hits) {
+        this.els.sessionList.style.display = 'none';
+        this.els.searchResults.style.display = '';
+
+        if (hits.length === 0) {
+            this.els.searchResults.innerHTML = '<div class="cb-dim cb-small cw-search-empty">No matches</div>';
+            return;
+        }
+
+        // Same word rule as the server's tokenizer, so only letters/digits reach the RegExp
+        const words = q.toLowerCase().match(/[\p{L}\p{N}_]{2,}/gu) || [];
+        const re = words.length ? new RegExp(`(${words.join('|')})`, 'giu') : null;
+        const mark = (text) => re
+            ? text.split(re).map((part, i) => i % 2 ? `<mark>${CbUtils.escapeHtml(part)}</mark>` : CbUtils.escapeHtml(part)).join('')
+            : CbUtils.escapeHtml(text);
+        const roleLabel = { user: 'You', assistant: 'Claude', tool: 'Tool output' };
+
+        const attr = CbUtils.escapeAttr;
+        this.els.searchResults.innerHTML = hits.map(h => `<div class="cw-search-hit" data-session-id="${attr(h.sessionId)}"
+                data-message-id="${attr(h.messageId)}" data-tool-call-id="${attr(h.toolCallId || '')}">
+                <div class="cw-search-hit-header">
+                    <span class="cw-session-item-name">${CbUtils.escapeHtml(h.sessionName)}</span>
+                    <span class="cb-tiny cb-dim">${roleLabel[h.role] || h.role}</span>
+                </div>
+                <div class="cw-search-snippet">${mark(h.snippet)}</div>
+            </div>`).join('');
+    },
+
+    clearSearch() {
+        this.els.searchInput.value = '';
+        this.onSearchInput();
+    },
+
+    // ─── CLI Import ───────────────────────────────────────────────
+
+    showImportModal() {
+        document.getElementById('import-overlay').style.display = 'flex';
+        const cwdInput = document.getElementById('import-cwd');
+        if (!cwdInput.value) cwdInput.value = this._defaultCwd || '';
+        cwdInput.focus();
+        if (cwdInput.value) this.scanCliSessions();
+    },
+
+    hideImportModal() {
+        document.getElementById('import-overlay').style.display = 'none';
+    },
+
+    async scanCliSessions() {
+        const cwd = document.getElementById('import-cwd').value.trim();
+        const list = document.getElementById('import-list');
+        if (!cwd) return;
+
+        list.innerHTML = '<div class="cb-dim cb-small">Scanning...</div>';
+        try {
+            const res = await fetch(`/api/cli-sessions?cwd=${encodeURIComponent(cwd)}`);
+            const sessions = await res.json();
+            if (!res.ok) throw new Error(sessions.error || 'Scan failed');
+
+            if (sessions.length === 0) {
+                list.innerHTML = '<div class="cb-dim cb-small">No CLI sessions found for this directory.</div>';
+                return;
+            }
+            list.innerHTML = sessions.map(s => `<div class="cw-import-item">
+                <div class="cw-import-info">
+                    <div class="cw-import-prompt">${CbUtils.escapeHtml(s.firstPrompt || '(no prompt)')}</div>
+                    <div class="cb-tiny cb-dim">${CbUtils.formatTimeAgo(new Date(s.updatedAt))} &middot; ${this._formatSize(s.size)}</div>
+                </div>
+                ${s.importedAs
+                    ? `<button class="cb-btn" data-open="${CbUtils.escapeAttr(s.importedAs)}">Open</button>`
+                    : `<button class="cb-btn cb-btn-primary" data-import="${CbUtils.escapeAttr(s.sessionId)}">Import</button>`}
+            </div>`).join('');
+        } catch (err) {
+            list.innerHTML = `<div class="cb-small cw-login-error">${CbUtils.escapeHtml(err.message)}</div>`;
+        }
+    },
+
+    async importCliSession(sessionId) {
+        const cwd = document.getElementById('import-cwd').value.trim();
+        try {
+            const res = await fetch('/api/cli-sessions/import', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ cwd, sessionId, model: this._defaultModel })
+            });
+            const data = await res.json();
+            if (!res.ok && !data.sessionId) {
+                alert(data.error || 'Import failed');
+                return;
+            }
+
+            this.hideImportModal();
+            await this.loadSessions();
+            this.selectSession(data.sessionId || data.id);
+        } catch (err) {
+            console.error('Failed to import session:', err);
+        }
+    },
+
+    async saveSettings() {
+        const cwd = document.getElementById('modal-cwd').value.trim();
+        if (!cwd) {
+            document.getElementById('modal-cwd').focus();
+            return;
+        }
+        const advanced = this._readAdvanced();
+        if (!advanced) return;
+
+        const ok = await this.updateSession({
+            name: document.getElementById('modal-name').value.trim() || 'New Session',
+            cwd,
+            model: document.getElementById('modal-model').value,
+            permissionMode: document.getElementById('modal-permission-mode').value,
+            maxThinkingTokens: Number(document.getElementById('modal-thinking').value) || null,
+            budgetUsd: Number(document.getElementById('modal-budget').value) || null,
+            ...advanced
+        }, { alertErrors: true });
+        if (ok) this.hideModal();
+    },
+
+    /** Put a session's advanced settings in the modal, expanded if any are set. */
+    _fillAdvanced(session) {
+        const lines = (list) => (list || []).join('\n');
+        document.getElementById('modal-system-prompt').value = session.appendSystemPrompt || '';
+        document.getElementById('modal-allowed-tools').value = lines(session.allowedTools);
+        document.getElementById('modal-disallowed-tools').value = lines(session.disallowedTools);
+        document.getElementById('modal-max-turns').value = session.maxTurns ?? '';
+        document.getElementById('modal-additional-dirs').value = lines(session.additionalDirectories);
+        document.getElementById('modal-mcp').value = session.mcpServers ? JSON.stringify(session.mcpServers, null, 2) : '';
+        document.getElementById('modal-advanced').open = !!(session.appendSystemPrompt || session.allowedTools
+            || session.disallowedTools || session.maxTurns || session.additionalDirectories || session.mcpServers);
+    },
+
+    /**
+     * Advanced settings from the modal; empty fields become null (server default).
+     * @returns {object|null} null (after alerting) when the MCP JSON doesn't parse
+     */
+    _readAdvanced() {
+        const mcpServers = this._readMcpServers();
+        if (mcpServers === undefined) return null;
+
+        const list = (id, separator) => {
+            const items = document.getElementById(id).value.split(separator).map(s => s.trim()).filter(Boolean);
+            return items.length ? items : null;
+        };
+        // Commas inside a rule's parentheses, as in Bash(npm run lint, test), don't split it
+        const tools = /\n|,(?![^(]*\))/;
+        return {
+            appendSystemPrompt: document.getElementById('modal-system-prompt').value.trim() || null,
+            allowedTools: list('modal-allowed-tools', tools),
+            disallowedTools: list('modal-disallowed-tools', tools),
+            maxTurns: Number(document.getElementById('modal-max-turns').value) || null,
+            additionalDirectories: list('modal-additional-dirs', '\n'),
+            mcpServers
+        };
+    },
+
+    /**
+     * MCP servers from the settings modal. Accepts a bare {name: config} map or a
+     * pasted .mcp.json ({"mcpServers": {...}}); the server checks each config.
+     * @returns {object|null|undefined} null when empty, undefined (after alerting) when it isn't valid JSON
+     */
+    _readMcpServers() {
+        const text = document.getElementById('modal-mcp').value.trim();
+        if (!text) return null;
+        try {
+            const parsed = JSON.parse(text);
+            const servers = parsed && typeof parsed.mcpServers === 'object' ? parsed.mcpServers : parsed;
+            return servers && Object.keys(servers).length ? servers : null;
+        } catch (err) {
+            alert('MCP servers: ' + err.message);
+            document.getElementById('modal-mcp').focus();
+            return undefined;
+        }
+    },
+
+    /** Connection state of the session's MCP servers as of its last run, in the header. */
+    renderMcpStatus(servers = []) {
+        const el = document.getElementById('header-mcp');
+        el.style.display = servers.length ? '' : 'none';
+        if (!servers.length) return;
+
+        const connected = servers.filter(s => s.status === 'connected').length;
+        const failed = servers.filter(s => s.status === 'failed' || s.status === 'needs-auth').length;
+        el.textContent = `MCP ${connected}/${servers.length}`;
+        el.classList.toggle('failed', failed > 0);
+        el.classList.toggle('pending', failed === 0 && connected < servers.length);
+        el.title = servers.map(s => `${s.name}: ${s.status}${s.error ? ` — ${s.error}` : ''}`).join('\n');
+    },
+
+    /**
+     * PATCH the current session's settings. The server's session_updated event
+     * updates every connected client, this one included.
+     * @returns {Promise<boolean>} Whether the change was accepted
+     */
+    async updateSession(updates, { alertErrors = false } = {}) {
+        const id = this.currentSession;
+        if (!id) return false;
+        try {
+            const res = await fetch(`/api/sessions/${id}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(updates)
+            });
+            const data = await res.json();
+
+            if (!res.ok) {
+                const message = data.error || 'Failed to update session';
+                if (alertErrors) alert(message);
+                else this.appendSystemMessage('Error: ' + message);
+
+                // Put the header controls back to what the server has
+                const current = (await (await fetch('/api/sessions')).json()).find(s => s.id === id);
+                if (current && id === this.currentSession) this.applySessionSettings(current);
+                return false;
+            }
+            return true;
+        } catch (err) {
+            this.appendSystemMessage('Error: ' + err.message);
+            return false;
+        }
+    },
+
+    /** Reflect session settings in the header. */
+    applySessionSettings(settings) {
+        if (settings.name !== undefined) this.els.headerSessionName.textContent = settings.name;
+        if (settings.cwd !== undefined) {
+            this.els.headerCwd.textContent = settings.cwd;
+            this.els.headerCwd.title = settings.cwd;
+        }
+        if (settings.model !== undefined) this._selectModel(this.els.modelSelect, settings.model);
+        if (settings.permissionMode !== undefined) this.els.permissionSelect.value = settings.permissionMode || 'default';
+    },
+
+    /**
+     * Select a model in a model picker, adding it as an option when it isn't
+     * one of the built-in choices (e.g. set with `/model <full ID>`).
+     * @param {HTMLSelectElement} select
+     * @param {string} model
+     */
+    _selectModel(select, model) {
+        select.querySelectorAll('option[data-custom]').forEach(o => { if (o.value !== model) o.remove(); });
+        if (model && ![...select.options].some(o => o.value === model)) {
+            const option = new Option(model, model);
+            option.dataset.custom = 'true';
+            select.add(option);
+        }
+        select.value = model;
+    },
+
     async deleteSession(id) {
         if (!confirm('Delete this session?')) return;
 
@@ -437,6 +1263,16 @@ const App = {
                 this.els.headerCwd.textContent = '';
                 this.els.promptInput.disabled = true;
                 this.els.btnSend.disabled = true;
+                this.els.btnAttach.disabled = true;
+                this.els.exportSelect.disabled = true;
+                document.getElementById('btn-settings').disabled = true;
+                document.getElementById('btn-files').disabled = true;
+                if (this._filesOpen()) this.toggleFiles();
+                this.pendingAttachments = [];
+                this.renderAttachmentStrip();
+                this.renderQueue([]);
+                this.renderTodos([]);
+                this.renderMcpStatus([]);
             }
 
             this.loadSessions();
@@ -447,10 +1283,16 @@ const App = {
 
     // ─── SSE ──────────────────────────────────────────────────────
 
-    connectSSE(sessionId) {
+    /**
+     * Open the session's event stream.
+     * @param {string} sessionId
+     * @param {string} [lastEventId] - Replay events after this ID
+     */
+    connectSSE(sessionId, lastEventId) {
         this.disconnectSSE();
 
-        const es = new EventSource(`/api/chat/${sessionId}/sse`);
+        const resume = lastEventId != null ? `?lastEventId=${encodeURIComponent(lastEventId)}` : '';
+        const es = new EventSource(`/api/chat/${sessionId}/sse${resume}`);
         this.sse = es;
 
         es.addEventListener('connected', () => {
@@ -465,9 +1307,38 @@ const App = {
             }
         });
 
+        es.addEventListener('session_updated', (e) => {
+            // Settings changed elsewhere (another tab, or the header here)
+            const data = JSON.parse(e.data);
+            this.applySessionSettings(data);
+            if (data.cwd !== undefined) {
+                this.loadCommands(data.cwd);
+                this._openDirs.clear();
+                if (this._filesOpen()) this.loadFiles();
+                this.appendSystemMessage(`Working directory changed to ${data.cwd} — the next prompt starts a fresh conversation there.`, { level: 'info' });
+            }
+            if (data.budgetUsd !== undefined) this.loadBudget();
+            this.loadSessions();
+        });
+
+        es.addEventListener('mcp_status', (e) => {
+            const data = JSON.parse(e.data);
+            this.renderMcpStatus(data.servers);
+        });
+
+        es.addEventListener('todos', (e) => {
+            const data = JSON.parse(e.data);
+            this.renderTodos(data.todos);
+        });
+
         es.addEventListener('user_message', (e) => {
             const data = JSON.parse(e.data);
-            // Only append if not already shown (we add locally on send)
+            this.handleUserMessage(data);
+        });
+
+        es.addEventListener('queue', (e) => {
+            const data = JSON.parse(e.data);
+            this.renderQueue(data.items, data.paused);
         });
 
         es.addEventListener('text_delta', (e) => {
@@ -475,6 +1346,11 @@ const App = {
             this.handleTextDelta(data);
         });
 
+        es.addEventListener('thinking_delta', (e) => {
+            const data = JSON.parse(e.data);
+            this.handleThinkingDelta(data);
+        });
+
         es.addEventListener('tool_start', (e) => {
             const data = JSON.parse(e.data);
             this.handleToolStart(data);
@@ -501,11 +1377,49 @@ const App = {
             this.handleResult(data);
         });
 
+        es.addEventListener('permission_request', (e) => {
+            const data = JSON.parse(e.data);
+            this.handlePermissionRequest(data);
+        });
+
+        es.addEventListener('permission_resolved', (e) => {
+            const data = JSON.parse(e.data);
+            this.handlePermissionResolved(data);
+        });
+
         es.addEventListener('command_expanded', (e) => {
             const data = JSON.parse(e.data);
             this.appendCommandBanner(data.command, data.description);
         });
 
+        es.addEventListener('system_message', (e) => {
+            // Output of a built-in command (/clear, /cost, /status, ...)
+            const data = JSON.parse(e.data);
+            if (data.clear) {
+                this.els.messages.innerHTML = '';
+                this._historyCursor = null;
+                this.loadSessions();
+            }
+            this.appendSystemMessage(data.text, { level: data.level }).classList.add('cw-command-output');
+        });
+
+        es.addEventListener('replay_gap', () => {
+            // Reconnected after missing more events than the server kept —
+            // reload history instead of showing a truncated answer.
+            this.selectSession(sessionId);
+        });
+
+        es.addEventListener('budget_warning', (e) => {
+            const data = JSON.parse(e.data);
+            this.handleBudgetWarning(data);
+        });
+
+        es.addEventListener('budget_exceeded', (e) => {
+            // Queued prompts are on hold until the limit is raised
+            const data = JSON.parse(e.data);
+            this.handleBudgetWarning({ ...data, exceeded: true, queued: true });
+        });
+
         es.addEventListener('error', (e) => {
             try {
                 const data = JSON.parse(e.data);
@@ -536,20 +1450,28 @@ const App = {
 
     async sendMessage() {
         const prompt = this.els.promptInput.value.trim();
-        if (!prompt || !this.currentSession) return;
+        const files = this.pendingAttachments;
+        if ((!prompt && files.length === 0) || !this.currentSession) return;
 
         // Clear input
         this.els.promptInput.value = '';
         this.els.promptInput.style.height = 'auto';
-
-        // Show user message locally
-        this.appendUserMessage(prompt);
-        this.showThinking();
-
-        // Reset stream state
-        this.streamBuffer = '';
-        this.streamMsgId = null;
-        this.activeTools.clear();
+        this.pendingAttachments = [];
+        this.renderAttachmentStrip();
+
+        // Show user message locally — unless Claude is busy, in which case
+        // the server queues it and it shows up above the input instead
+        let echo = null;
+        if (!this.running) {
+            echo = this.appendUserMessage(prompt, files);
+            echo.dataset.pending = 'true';
+            this.showThinking();
+
+            // Reset stream state
+            this.streamBuffer = '';
+            this.streamMsgId = null;
+            this.activeTools.clear();
+        }
 
         try {
             const res = await fetch('/api/chat', {
@@ -557,13 +1479,358 @@ const App = {
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
                     sessionId: this.currentSession,
-                    prompt
+                    prompt,
+                    attachments: files.map(f => f.id)
                 })
             });
 
             if (!res.ok) {
                 const err = await res.json();
+                this._restorePrompt(prompt, echo, files);
                 this.appendSystemMessage('Error: ' + (err.error || 'Failed to send'));
+                return;
+            }
+
+            const data = await res.json();
+            if ((data.queued || (data.builtin && !data.running)) && echo) {
+                // Another client started a run first — it went to the queue.
+                // Or a built-in command answered; its output arrives as a system message.
+                echo.remove();
+                this.hideThinking();
+            }
+        } catch (err) {
+            this._restorePrompt(prompt, echo, files);
+            this.appendSystemMessage('Error: ' + err.message);
+        }
+    },
+
+    /** Put a prompt that failed to send back in the input so it isn't lost. */
+    _restorePrompt(prompt, echo, files = []) {
+        if (echo) echo.remove();
+        this.hideThinking();
+        if (!this.els.promptInput.value) this.els.promptInput.value = prompt;
+        if (this.pendingAttachments.length === 0) {
+            this.pendingAttachments = files;
+            this.renderAttachmentStrip();
+        }
+    },
+
+    // ─── Attachments ──────────────────────────────────────────────
+
+    async uploadFiles(files) {
+        const sessionId = this.currentSession;
+        if (!sessionId) return;
+
+        for (const file of files) {
+            const name = file.name || `pasted-${Date.now()}.png`;
+            this.els.inputStatus.textContent = `Uploading ${name}...`;
+            try {
+                const params = new URLSearchParams({ name, type: file.type || 'application/octet-stream' });
+                const res = await fetch(`/api/sessions/${sessionId}/attachments?${params}`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/octet-stream' },
+                    body: file
+                });
+                const data = await res.json();
+                if (!res.ok) {
+                    this.appendSystemMessage(`Error: ${name}: ${data.error || 'Upload failed'}`);
+                    continue;
+                }
+                if (sessionId === this.currentSession) this.pendingAttachments.push(data);
+            } catch (err) {
+                this.appendSystemMessage('Error: ' + err.message);
+            }
+        }
+
+        this.els.inputStatus.textContent = this.running ? 'Claude is working...' : '';
+        this.renderAttachmentStrip();
+    },
+
+    renderAttachmentStrip() {
+        const el = this.els.attachmentStrip;
+        if (this.pendingAttachments.length === 0) {
+            el.style.display = 'none';
+            el.innerHTML = '';
+            return;
+        }
+
+        el.style.display = '';
+        el.innerHTML = this.pendingAttachments.map(a => `<div class="cw-attachment-chip">
+                ${ChatRenderer.renderAttachments(this.currentSession, [a])}
+                <button class="cw-queue-btn cw-queue-remove" data-attachment-id="${CbUtils.escapeAttr(a.id)}" title="Remove">&times;</button>
+            </div>`).join('');
+    },
+
+    removeAttachment(id) {
+        this.pendingAttachments = this.pendingAttachments.filter(a => a.id !== id);
+        this.renderAttachmentStrip();
+    },
+
+    // ─── Plan ─────────────────────────────────────────────────────
+
+    /**
+     * Show the session's TodoWrite plan in the pinned panel (hidden when empty).
+     * @param {object[]} todos
+     */
+    renderTodos(todos = []) {
+        this._todos = todos;
+        const panel = document.getElementById('todo-panel');
+        const dashboard = document.getElementById('dashboard');
+        panel.style.display = todos.length && dashboard.style.display === 'none' ? '' : 'none';
+        if (!todos.length) return;
+
+        const done = todos.filter(t => t.status === 'completed').length;
+        const current = todos.find(t => t.status === 'in_progress');
+        document.getElementById('todo-progress').textContent =
+            `${done}/${todos.length} done` + (current ? ` · ${current.activeForm || current.content}` : '');
+        document.getElementById('todo-list').innerHTML = ChatRenderer.renderTodos(todos);
+        panel.classList.toggle('complete', done === todos.length);
+    },
+
+    // ─── Workspace Files ──────────────────────────────────────────
+
+    _filesOpen() {
+        return document.getElementById('files-panel').style.display !== 'none';
+    },
+
+    toggleFiles() {
+        const panel = document.getElementById('files-panel');
+        const show = !this._filesOpen();
+        panel.style.display = show ? '' : 'none';
+        document.getElementById('btn-files').classList.toggle('cb-btn-primary', show);
+        if (show) this.loadFiles();
+    },
+
+    /** Reload the changed-files list and the tree, keeping expanded directories open. */
+    async loadFiles() {
+        const id = this.currentSession;
+        if (!id) return;
+        await this.loadTouched();
+        await this._renderDir(id, '', document.getElementById('files-tree'));
+    },
+
+    async loadTouched() {
+        const id = this.currentSession;
+        try {
+            const res = await fetch(`/api/sessions/${id}/files/touched`);
+            const files = await res.json();
+            if (!res.ok || id !== this.currentSession) return;
+
+            this._touched = new Set(files.filter(f => f.inside).map(f => f.path));
+            const el = document.getElementById('files-touched');
+            el.innerHTML = files.length ? '<div class="cw-files-label">Changed this session</div>' : '';
+            for (const f of files) {
+                const node = this._fileNode({ name: f.path, path: f.inside ? f.path : '', type: 'file' });
+                node.classList.add('touched');
+                if (!f.inside) node.classList.add('outside');
+                node.title = `${f.tool}${f.count > 1 ? ` ×${f.count}` : ''}${f.inside ? '' : ' — outside the working directory'}`;
+                el.appendChild(node);
+            }
+            this._markTouched();
+        } catch (err) {
+            console.error('Failed to load changed files:', err);
+        }
+    },
+
+    async toggleDir(node) {
+        const children = node.nextElementSibling;
+        if (node.classList.toggle('open')) {
+            this._openDirs.add(node.dataset.path);
+            await this._renderDir(this.currentSession, node.dataset.path, children);
+        } else {
+            this._openDirs.delete(node.dataset.path);
+            children.innerHTML = '';
+        }
+    },
+
+    async _renderDir(id, path, container) {
+        try {
+            const res = await fetch(`/api/sessions/${id}/files?path=${encodeURIComponent(path)}`);
+            const data = await res.json();
+            if (id !== this.currentSession) return;
+            if (!res.ok) throw new Error(data.error || res.statusText);
+
+            container.innerHTML = '';
+            const reopen = [];
+            for (const entry of data.entries) {
+                const node = this._fileNode(entry);
+                container.appendChild(node);
+                if (entry.type !== 'dir') continue;
+                const children = document.createElement('div');
+                children.className = 'cw-file-children';
+                container.appendChild(children);
+                if (this._openDirs.has(entry.path)) reopen.push(node);
+            }
+            if (data.entries.length === 0) container.innerHTML = '<div class="cw-files-empty">Empty</div>';
+            if (data.truncated) container.insertAdjacentHTML('beforeend', '<div class="cw-files-empty">More entries not shown</div>');
+
+            for (const node of reopen) {
+                node.classList.add('open');
+                await this._renderDir(id, node.dataset.path, node.nextElementSibling);
+            }
+            this._markTouched();
+        } catch (err) {
+            container.innerHTML = `<div class="cw-files-empty">${CbUtils.escapeHtml(err.message)}</div>`;
+        }
+    },
+
+    /** One row of the tree; built with DOM APIs since file names go into attributes. */
+    _fileNode(entry) {
+        const node = document.createElement('div');
+        node.className = `cw-file-node ${entry.type}`;
+        node.dataset.path = entry.path;
+        node.dataset.type = entry.type;
+        const icon = document.createElement('span');
+        icon.className = 'cw-file-icon';
+        icon.innerHTML = entry.type === 'dir' ? '&#9656;' : '';
+        node.append(icon, entry.name);
+        if (entry.size != null) node.title = this._formatSize(entry.size);
+        return node;
+    },
+
+    /** Highlight changed files, and the directories that contain them. */
+    _markTouched() {
+        const touched = [...this._touched];
+        document.querySelectorAll('#files-tree .cw-file-node').forEach(node => {
+            const path = node.dataset.path;
+            node.classList.toggle('touched', node.dataset.type === 'dir'
+                ? touched.some(p => p.startsWith(path + '/'))
+                : this._touched.has(path));
+        });
+    },
+
+    async openFile(path) {
+        const id = this.currentSession;
+        const body = document.getElementById('file-viewer-body');
+        const meta = document.getElementById('file-viewer-meta');
+        document.getElementById('file-viewer-path').textContent = path;
+        meta.textContent = '';
+        body.innerHTML = '<div class="cb-dim">Loading...</div>';
+        document.getElementById('file-overlay').style.display = 'flex';
+
+        try {
+            const res = await fetch(`/api/sessions/${id}/files/content?path=${encodeURIComponent(path)}`);
+            const file = await res.json();
+            if (!res.ok) throw new Error(file.error || res.statusText);
+
+            meta.textContent = `${this._formatSize(file.size)} · modified ${CbUtils.formatTimeAgo(new Date(file.mtime))}`
+                + (this._touched.has(file.path) ? ' · changed this session' : '');
+            if (file.binary) {
+                body.innerHTML = '<div class="cb-dim">Binary file — not shown.</div>';
+            } else if (file.tooLarge) {
+                body.innerHTML = '<div class="cb-dim">Too large to show.</div>';
+            } else {
+                const lang = ChatRenderer.languageFor(file.path);
+                body.innerHTML = `<pre class="cw-code-preview"><code>${ChatRenderer.highlight(file.content, lang)}</code></pre>`;
+            }
+        } catch (err) {
+            body.innerHTML = `<div class="cb-dim">${CbUtils.escapeHtml(err.message)}</div>`;
+        }
+    },
+
+    _formatSize(bytes) {
+        return bytes >= 1048576 ? `${(bytes / 1048576).toFixed(1)} MB`
+            : bytes >= 1024 ? `${(bytes / 1024).toFixed(1)} KB`
+            : `${bytes} B`;
+    },
+
+    // ─── Prompt Queue ─────────────────────────────────────────────
+
+    /**
+     * @param {object[]} items - Queued prompts, next-to-run first
+     * @param {'interrupted'|'error'|null} [paused] - Why the queue is on hold, if it is
+     */
+    renderQueue(items, paused = null) {
+        this._queue = items || [];
+        this._queuePaused = paused;
+        const el = this.els.queueList;
+        if (this._queue.length === 0) {
+            el.style.display = 'none';
+            el.innerHTML = '';
+            return;
+        }
+
+        el.style.display = '';
+        const header = paused
+            ? `<div class="cb-tiny cw-queue-paused">On hold — ${paused === 'error' ? 'the last run failed' : 'Claude was stopped'}
+                <button class="cw-queue-btn" data-action="resume">Resume</button></div>`
+            : `<div class="cb-tiny cb-dim">Queued — sent when Claude finishes</div>`;
+        el.innerHTML = header +
+            this._queue.map((item, i) => `<div class="cw-queue-item" data-id="${CbUtils.escapeAttr(item.id)}">
+                <span class="cw-queue-pos">${i + 1}</span>
+                <span class="cw-queue-text" title="${CbUtils.escapeAttr(item.text)}">${CbUtils.escapeHtml(item.text)}</span>
+                ${item.attachments?.length ? `<span class="cb-tiny cb-dim" title="${CbUtils.escapeAttr(item.attachments.join(', '))}">+${item.attachments.length} file${item.attachments.length > 1 ? 's' : ''}</span>` : ''}
+                <button class="cw-queue-btn" data-action="edit">Edit</button>
+                <button class="cw-queue-btn cw-queue-remove" data-action="remove" title="Remove">&times;</button>
+            </div>`).join('');
+    },
+
+    editQueued(itemId) {
+        const row = this.els.queueList.querySelector(`[data-id="${CSS.escape(itemId)}"]`);
+        const item = this._queue.find(i => i.id === itemId);
+        if (!row || !item) return;
+
+        row.innerHTML = `<textarea class="cb-input cw-queue-edit" rows="2">${CbUtils.escapeHtml(item.text)}</textarea>
+            <button class="cw-queue-btn" data-action="save">Save</button>
+            <button class="cw-queue-btn" data-action="cancel">Cancel</button>`;
+        row.querySelector('textarea').focus();
+    },
+
+    async saveQueued(itemId) {
+        const row = this.els.queueList.querySelector(`[data-id="${CSS.escape(itemId)}"]`);
+        const prompt = row?.querySelector('textarea').value.trim();
+        if (!prompt) return this.removeQueued(itemId);
+
+        try {
+            const res = await fetch(`/api/sessions/${this.currentSession}/queue/${itemId}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ prompt })
+            });
+
+            if (!res.ok) {
+                const err = await res.json();
+                this.appendSystemMessage('Error: ' + (err.error || 'Failed to update queued prompt'));
+            }
+        } catch (err) {
+            this.appendSystemMessage('Error: ' + err.message);
+        }
+    },
+
+    async resumeQueue() {
+        try {
+            const res = await fetch(`/api/sessions/${this.currentSession}/queue/resume`, { method: 'POST' });
+            if (!res.ok) {
+                const err = await res.json();
+                this.appendSystemMessage('Error: ' + (err.error || 'Failed to resume the queue'));
+            }
+        } catch (err) {
+            this.appendSystemMessage('Error: ' + err.message);
+        }
+    },
+
+    async removeQueued(itemId) {
+        try {
+            await fetch(`/api/sessions/${this.currentSession}/queue/${itemId}`, { method: 'DELETE' });
+        } catch (err) {
+            console.error('Failed to remove queued prompt:', err);
+        }
+    },
+
+    async respondPermission(requestId, decision) {
+        const card = document.getElementById(`perm-${requestId}`);
+        if (card) card.querySelectorAll('button').forEach(b => b.disabled = true);
+
+        try {
+            const res = await fetch(`/api/chat/${this.currentSession}/permission`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ requestId, decision })
+            });
+
+            if (!res.ok) {
+                const err = await res.json();
+                this.appendSystemMessage('Error: ' + (err.error || 'Failed to answer permission request'));
             }
         } catch (err) {
             this.appendSystemMessage('Error: ' + err.message);
@@ -581,19 +1848,57 @@ const App = {
 
     // ─── Stream Handlers ──────────────────────────────────────────
 
+    handleUserMessage(data) {
+        // Our own prompt was already echoed locally — just tag it
+        const pending = this.els.messages.querySelector('.cw-msg-user[data-pending]');
+        if (pending) {
+            delete pending.dataset.pending;
+            pending.dataset.msgId = data.id;
+            return;
+        }
+
+        // Drained from the queue, or sent from another client
+        this.finalizeStream();
+        this.streamBuffer = '';
+        this.activeTools.clear();
+        this.appendUserMessage(data.content, data.attachments).dataset.msgId = data.id;
+        this.showThinking();
+    },
+
+    handleThinkingDelta(data) {
+        // Real reasoning replaces the canned spinner
+        this.hideThinking();
+        this.thinkingBuffer += data.text;
+
+        const el = this._ensureStreamEl();
+        let panel = el.querySelector('.cw-reasoning.streaming');
+        if (!panel) {
+            el.querySelector('.cw-msg-content').insertAdjacentHTML('beforebegin', ChatRenderer.renderThinking('', { streaming: true }));
+            panel = el.querySelector('.cw-reasoning.streaming');
+            panel.dataset.startedAt = Date.now();
+        }
+        panel.querySelector('.cw-reasoning-body').textContent = this.thinkingBuffer;
+        this.scrollToBottom();
+    },
+
+    /** Collapse the live thinking panel once Claude starts answering. */
+    _finishThinking() {
+        const panel = document.querySelector('#stream-msg .cw-reasoning.streaming');
+        this.thinkingBuffer = '';
+        if (!panel) return;
+
+        const secs = Math.max(1, Math.round((Date.now() - Number(panel.dataset.startedAt)) / 1000));
+        panel.classList.remove('streaming', 'expanded');
+        panel.querySelector('.cw-reasoning-label').textContent = `Thought for ${secs}s`;
+    },
+
     handleTextDelta(data) {
         this.hideThinking();
+        this._finishThinking();
         this.streamBuffer += data.text;
 
         // Create or update the streaming message element
-        let el = document.getElementById('stream-msg');
-        if (!el) {
-            el = document.createElement('div');
-            el.id = 'stream-msg';
-            el.className = 'cw-msg cw-msg-assistant cw-msg-streaming';
-            el.innerHTML = `<div class="cw-msg-label">Claude</div><div class="cw-msg-content"></div>`;
-            this.els.messages.appendChild(el);
-        }
+        const el = this._ensureStreamEl();
 
         // Re-render accumulated markdown
         const contentEl = el.querySelector('.cw-msg-content');
@@ -603,17 +1908,11 @@ const App = {
 
     handleToolStart(data) {
         this.hideThinking();
+        this._finishThinking();
         this.activeTools.set(data.toolCallId, { tool: data.tool, input: '' });
 
         // Insert tool card into the current stream message or create one
-        let el = document.getElementById('stream-msg');
-        if (!el) {
-            el = document.createElement('div');
-            el.id = 'stream-msg';
-            el.className = 'cw-msg cw-msg-assistant cw-msg-streaming';
-            el.innerHTML = `<div class="cw-msg-label">Claude</div><div class="cw-msg-content"></div>`;
-            this.els.messages.appendChild(el);
-        }
+        const el = this._ensureStreamEl();
 
         const toolHtml = ChatRenderer.renderToolCard({
             id: data.toolCallId,
@@ -637,6 +1936,12 @@ const App = {
         const toolEl = document.getElementById(`tool-${data.toolCallId}`);
         if (!toolEl) return;
 
+        // Subagent tool calls arrive whole (no streamed input), so just fill in the result
+        if (data.parentToolUseId) {
+            ChatRenderer.applyToolResult(toolEl, { output: data.output, isError: data.is_error });
+            return;
+        }
+
         const entry = this.activeTools.get(data.toolCallId);
         let inputObj = null;
         if (entry && entry.input) {
@@ -653,17 +1958,72 @@ const App = {
             isError: data.is_error
         });
 
+        // Re-rendering would drop a subagent's nested work, so carry it over
+        const subagent = toolEl.querySelector('.cw-subagent');
+        const expanded = toolEl.classList.contains('expanded');
         toolEl.outerHTML = newHtml;
+        const card = document.getElementById(`tool-${data.toolCallId}`);
+        if (subagent) {
+            card.querySelector('.cw-subagent').replaceWith(subagent);
+            this._updateSubagentProgress(card);
+        }
+        if (expanded) card.classList.add('expanded');
         this.activeTools.delete(data.toolCallId);
     },
 
+    handlePermissionRequest(data) {
+        this.hideThinking();
+        if (document.getElementById(`perm-${data.requestId}`)) return;
+
+        // Sit right under the tool card it's gating, when that's on screen
+        const html = ChatRenderer.renderPermissionCard(data);
+        const toolEl = data.toolCallId && document.getElementById(`tool-${data.toolCallId}`);
+        if (toolEl) {
+            toolEl.insertAdjacentHTML('afterend', html);
+        } else {
+            this._ensureStreamEl().insertAdjacentHTML('beforeend', html);
+        }
+
+        this.els.inputStatus.textContent = 'Waiting for your approval...';
+        this.scrollToBottom();
+    },
+
+    handlePermissionResolved(data) {
+        const card = document.getElementById(`perm-${data.requestId}`);
+        if (!card) return;
+
+        const label = data.reason === 'timeout' ? 'Denied (timed out)'
+            : data.reason === 'aborted' ? 'Cancelled'
+            : data.decision === 'deny' ? 'Denied'
+            : data.decision === 'always' ? 'Always allowed'
+            : 'Approved';
+        card.classList.add('resolved', data.decision === 'deny' ? 'denied' : 'approved');
+        card.querySelector('.cw-permission-actions').innerHTML = `<span class="cb-small">${label}</span>`;
+
+        if (!document.querySelector('.cw-permission-card:not(.resolved)')) {
+            this.els.inputStatus.textContent = this.running ? 'Claude is working...' : '';
+        }
+    },
+
     handleAssistantMessage(data) {
+        if (this._filesOpen() && (data.toolCalls || []).some(tc => this.writeTools.includes(tc.tool))) {
+            this.loadTouched();
+        }
+
+        if (data.parentToolUseId) {
+            this.appendSubagentMessage(data, this.els.messages, { running: true });
+            this.scrollToBottom();
+            return;
+        }
+
         // The complete message has arrived — the stream is finalized for this turn
         // Keep the stream element but remove streaming class
+        this._finishThinking();
         const el = document.getElementById('stream-msg');
         if (el) {
             el.classList.remove('cw-msg-streaming');
             el.removeAttribute('id');
+            el.dataset.msgId = data.id;
         }
 
         // Reset for next turn
@@ -680,14 +2040,16 @@ const App = {
 
         // Update session cost
         if (data.sessionTotals) {
-            this.els.costSummary.innerHTML = `<span class="cb-dim">Session: $${data.sessionTotals.cost.toFixed(4)}</span>`;
+            this.updateCost({ totalCost: data.sessionTotals.cost });
         }
 
         this.scrollToBottom();
         this.loadSessions(); // Refresh sidebar
+        if (this._filesOpen()) this.loadFiles(); // Pick up files the turn created
     },
 
     finalizeStream() {
+        this._finishThinking();
         const el = document.getElementById('stream-msg');
         if (el) {
             el.classList.remove('cw-msg-streaming');
@@ -697,6 +2059,18 @@ const App = {
         this.streamMsgId = null;
     },
 
+    _ensureStreamEl() {
+        let el = document.getElementById('stream-msg');
+        if (!el) {
+            el = document.createElement('div');
+            el.id = 'stream-msg';
+            el.className = 'cw-msg cw-msg-assistant cw-msg-streaming';
+            el.innerHTML = `${this._msgLabel('Claude')}<div class="cw-msg-content"></div>`;
+            this.els.messages.appendChild(el);
+        }
+        return el;
+    },
+
     // ─── Thinking Indicator ──────────────────────────────────────
 
     showThinking() {
@@ -734,18 +2108,47 @@ const App = {
 
     // ─── DOM Helpers ──────────────────────────────────────────────
 
-    appendUserMessage(text) {
+    renderHistoryMessage(msg, container = this.els.messages) {
+        let el = null;
+        if (msg.role === 'user') {
+            el = this.appendUserMessage(msg.content, msg.attachments, container);
+        } else if (msg.role === 'assistant' && msg.parentToolUseId) {
+            el = this.appendSubagentMessage(msg, container);
+        } else if (msg.role === 'assistant') {
+            el = this.appendAssistantMessage(msg, container);
+        } else if (msg.role === 'tool') {
+            // The card is on this page unless the call sits just across a page boundary
+            const card = container.querySelector(`#tool-${CSS.escape(msg.toolCallId)}`);
+            if (card) ChatRenderer.applyToolResult(card, msg);
+            return;
+        } else if (msg.role === 'result') {
+            container.insertAdjacentHTML('beforeend', ChatRenderer.renderResult(msg));
+            return;
+        }
+        if (el) el.dataset.msgId = msg.id;
+    },
+
+    appendUserMessage(text, attachments = [], container = this.els.messages) {
         const div = document.createElement('div');
         div.className = 'cw-msg cw-msg-user';
-        div.innerHTML = `<div class="cw-msg-label">You</div><div class="cw-msg-content">${ChatRenderer.renderMarkdown(text)}</div>`;
-        this.els.messages.appendChild(div);
+        div.innerHTML = `${this._msgLabel('You')}
+            ${ChatRenderer.renderAttachments(this.currentSession, attachments)}
+            <div class="cw-msg-content">${ChatRenderer.renderMarkdown(text)}</div>`;
+        container.appendChild(div);
+        return div;
     },
 
-    appendAssistantMessage(msg) {
+    appendAssistantMessage(msg, container = this.els.messages) {
         const div = document.createElement('div');
         div.className = 'cw-msg cw-msg-assistant';
 
-        let html = '<div class="cw-msg-label">Claude</div>';
+        let html = this._msgLabel('Claude');
+
+        // Extended thinking
+        const thinking = (msg.content || []).filter(c => c.type === 'thinking').map(c => c.thinking).join('\n\n');
+        if (thinking) {
+            html += ChatRenderer.renderThinking(thinking);
+        }
 
         // Text content
         const textParts = (msg.content || []).filter(c => c.type === 'text').map(c => c.text).join('');
@@ -764,7 +2167,53 @@ const App = {
         }
 
         div.innerHTML = html;
-        this.els.messages.appendChild(div);
+        container.appendChild(div);
+        return div;
+    },
+
+    /**
+     * Render a subagent turn inside the Task card that launched it.
+     * @param {object} msg - Assistant message with parentToolUseId
+     * @param {HTMLElement} [container]
+     * @param {object} [opts]
+     * @param {boolean} [opts.running] - Arriving live: its tool calls are still running
+     * @returns {HTMLElement|null} Null when the Task card isn't rendered (it's on an earlier page)
+     */
+    appendSubagentMessage(msg, container = this.els.messages, { running = false } = {}) {
+        const card = container.querySelector(`#tool-${CSS.escape(msg.parentToolUseId)}`);
+        const log = card?.querySelector('.cw-subagent-log');
+        if (!log) return null;
+
+        let html = '';
+        const thinking = (msg.content || []).filter(c => c.type === 'thinking').map(c => c.thinking).join('\n\n');
+        if (thinking) html += ChatRenderer.renderThinking(thinking);
+        const text = (msg.content || []).filter(c => c.type === 'text').map(c => c.text).join('');
+        if (text) html += `<div class="cw-msg-content">${ChatRenderer.renderMarkdown(text)}</div>`;
+        for (const tc of (msg.toolCalls || [])) {
+            html += ChatRenderer.renderToolCard({ id: tc.id, tool: tc.tool, input: tc.input, running });
+        }
+
+        const div = document.createElement('div');
+        div.className = 'cw-subagent-msg';
+        div.innerHTML = html;
+        log.appendChild(div);
+
+        const last = running ? msg.toolCalls?.at(-1) : null;
+        this._updateSubagentProgress(card, last ? `${last.tool} ${ChatRenderer.toolSummary(last.tool, last.input)}`.trim() : '');
+        return div;
+    },
+
+    /** Tool count (and what it's doing now, while live) in a Task card's header. */
+    _updateSubagentProgress(card, activity = '') {
+        const el = card.querySelector(':scope > .cw-tool-header .cw-subagent-progress');
+        if (!el) return;
+        const count = card.querySelectorAll('.cw-subagent-log .cw-tool-card').length;
+        el.textContent = `${count} tool${count === 1 ? '' : 's'}${activity ? ` · ${activity}` : ''}`;
+    },
+
+    /** Message header; the fork action shows once the message has a stored ID. */
+    _msgLabel(who) {
+        return `<div class="cw-msg-label">${who}<button class="cw-msg-fork" onclick="App.forkFrom(this.closest('.cw-msg').dataset.msgId)" title="Fork a new session from here">&#9282; Fork</button></div>`;
     },
 
     appendCommandBanner(command, description) {
@@ -775,12 +2224,20 @@ const App = {
         this.scrollToBottom();
     },
 
-    appendSystemMessage(text) {
+    /**
+     * Inline notice in the transcript.
+     * @param {string} text
+     * @param {object} [opts]
+     * @param {'error'|'warning'|'info'} [opts.level]
+     * @returns {HTMLElement}
+     */
+    appendSystemMessage(text, { level = 'error' } = {}) {
         const div = document.createElement('div');
-        div.className = 'cw-result error';
+        div.className = level === 'info' ? 'cw-result' : `cw-result ${level}`;
         div.innerHTML = `<span>${CbUtils.escapeHtml(text)}</span>`;
         this.els.messages.appendChild(div);
         this.scrollToBottom();
+        return div;
     },
 
     scrollToBottom() {
@@ -796,15 +2253,162 @@ const App = {
     },
 
     setRunningState(running) {
-        this.els.btnSend.style.display = running ? 'none' : '';
+        // Input stays open while running — anything sent then is queued
+        this.running = running;
+        this.els.btnSend.textContent = running ? 'Queue' : 'Send';
         this.els.btnStop.style.display = running ? '' : 'none';
-        this.els.promptInput.disabled = running;
         this.els.inputStatus.textContent = running ? 'Claude is working...' : '';
     },
 
     updateCost(session) {
         const cost = session.totalCost || 0;
-        this.els.costSummary.innerHTML = `<span class="cb-dim">Session: $${cost.toFixed(4)}</span>`;
+        this.els.costSummary.innerHTML = `<span class="cb-dim">Session: $${cost.toFixed(4)}</span>
+            <div class="cw-budget-lines" id="budget-lines"></div>`;
+        this.loadBudget();
+    },
+
+    // ─── Budgets ──────────────────────────────────────────────────
+
+    async loadBudget() {
+        const id = this.currentSession;
+        if (!id) return;
+        try {
+            const res = await fetch(`/api/sessions/${id}/budget`);
+            const scopes = await res.json();
+            const el = document.getElementById('budget-lines');
+            if (!res.ok || !el || id !== this.currentSession) return;
+
+            const labels = { session: 'Budget', daily: 'Today', monthly: 'Month' };
+            el.innerHTML = scopes.map(s => {
+                const pct = Math.min(100, (s.spent / s.limit) * 100);
+                const cls = pct >= 100 ? 'over' : pct >= 80 ? 'near' : '';
+                return `<div class="cw-budget-line ${cls}" title="$${s.spent.toFixed(4)} of $${s.limit.toFixed(2)}">
+                    <span>${labels[s.scope]}: $${s.spent.toFixed(2)} / $${s.limit.toFixed(2)}</span>
+                    <div class="cw-budget-bar"><div style="width:${pct}%"></div></div>
+                </div>`;
+            }).join('');
+        } catch (err) {
+            console.error('Failed to load budget:', err);
+        }
+    },
+
+    handleBudgetWarning(data) {
+        const labels = { session: 'Session', daily: 'Daily', monthly: 'Monthly' };
+        const amounts = `$${data.spent.toFixed(2)} of $${data.limit.toFixed(2)}`;
+        const text = data.exceeded
+            ? `${labels[data.scope]} budget reached (${amounts}). New prompts are refused${data.queued ? ' and the queue is paused' : ''} until the limit is raised${data.scope === 'session' ? ' in session settings' : ' in config.json'}.`
+            : `${labels[data.scope]} budget at ${Math.round(data.fraction * 100)}% (${amounts}).`;
+        this.appendSystemMessage(text, { level: data.exceeded ? 'error' : 'warning' });
+        this.loadBudget();
+    },
+
+    // ─── Usage Dashboard ──────────────────────────────────────────
+
+    toggleUsage() {
+        if (document.getElementById('dashboard').style.display === 'none') {
+            this.showUsage();
+        } else {
+            this.hideUsage();
+        }
+    },
+
+    showUsage() {
+        this.closeSidebar();
+        document.getElementById('chat-area').style.display = 'none';
+        document.getElementById('input-area').style.display = 'none';
+        document.getElementById('dashboard').style.display = '';
+        document.getElementById('todo-panel').style.display = 'none';
+        document.getElementById('btn-usage').classList.add('cb-btn-primary');
+        this.loadUsage();
+    },
+
+    hideUsage() {
+        document.getElementById('dashboard').style.display = 'none';
+        document.getElementById('chat-area').style.display = '';
+        document.getElementById('input-area').style.display = '';
+        document.getElementById('btn-usage').classList.remove('cb-btn-primary');
+        this.renderTodos(this._todos);
+    },
+
+    async loadUsage() {
+        const body = document.getElementById('usage-body');
+        try {
+            const res = await fetch(`/api/usage?days=${this._usageDays}`);
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || res.statusText);
+            body.innerHTML = this.renderUsage(data);
+        } catch (err) {
+            body.innerHTML = `<div class="cb-dim">Failed to load usage: ${CbUtils.escapeHtml(err.message)}</div>`;
+        }
+    },
+
+    /**
+     * Dashboard markup for an /api/usage summary: headline metrics, daily
+     * trends, budget and cache gauges, and spend split by model and project.
+     * @param {object} data
+     * @returns {string} HTML
+     */
+    renderUsage(data) {
+        const t = data.totals;
+        const usd = (v) => `$${v.toFixed(v >= 100 ? 0 : 2)}`;
+        const num = (v) => v >= 1e6 ? `${(v / 1e6).toFixed(1)}M` : v >= 1e3 ? `${(v / 1e3).toFixed(1)}k` : String(v);
+        const metric = (value, label) => `<div class="cb-metric">
+            <div class="cb-metric-value">${value}</div>
+            <div class="cb-metric-label">${label}</div>
+        </div>`;
+
+        // Cache reads as a share of all prompt tokens
+        const promptTokens = t.input + t.cacheRead + t.cacheCreate;
+        const cacheHit = promptTokens ? (t.cacheRead / promptTokens) * 100 : 0;
+
+        const costs = data.byDay.map(d => d.cost);
+        const peak = data.byDay.reduce((a, b) => (b.cost > a.cost ? b : a), data.byDay[0]);
+        const trend = (title, values, meta, color) => `<div class="cb-card">
+            <div class="cb-card-label">${title}</div>
+            ${CbSparkline.render(values, { color, emptyText: 'No usage yet' })}
+            <div class="cb-card-meta">${meta}</div>
+        </div>`;
+
+        const labels = { daily: 'Today', monthly: 'This month' };
+        const gauge = (pct, value, label, opts = {}) => `<div class="cw-usage-gauge">
+            ${CbGauge.render(pct, opts)}
+            <div class="cw-usage-gauge-value">${value}</div>
+            <div class="cb-metric-label">${label}</div>
+        </div>`;
+        const gauges = data.budgets.map(b => gauge(
+            Math.min(100, (b.spent / b.limit) * 100),
+            `${usd(b.spent)} / ${usd(b.limit)}`,
+            `${labels[b.scope]} budget`
+        ));
+        gauges.push(gauge(cacheHit, `${Math.round(cacheHit)}%`, 'Cache hit rate', { level: 'nominal', warnAt: 100, critAt: 100 }));
+
+        const split = (title, rows, key) => `<div class="cb-card">
+            <div class="cb-card-label">${title}</div>
+            ${rows.length ? rows.map(r => `<div class="cw-usage-row" title="${CbUtils.escapeAttr(r[key])}">
+                ${CbHealthBar.render(t.cost ? (r.cost / t.cost) * 100 : 0, {
+                    label: `${key === 'cwd' ? r.cwd.split('/').pop() || r.cwd : r[key]} — ${usd(r.cost)} · ${r.turns} turns`,
+                    status: 'success',
+                })}
+            </div>`).join('') : '<div class="cb-dim cb-small">No usage yet</div>'}
+        </div>`;
+
+        return `<div class="cb-metrics cw-usage-metrics">
+                ${metric(usd(t.cost), `Spend (${data.days}d)`)}
+                ${metric(t.turns, `Turns${t.errors ? ` · ${t.errors} failed` : ''}`)}
+                ${metric(num(t.input + t.cacheRead + t.cacheCreate), 'Input tokens')}
+                ${metric(num(t.output), 'Output tokens')}
+                ${metric(t.turns ? `${(t.duration / t.turns / 1000).toFixed(1)}s` : '—', 'Avg turn')}
+            </div>
+            <div class="cb-grid">
+                ${trend('Daily spend', costs, `<span>avg ${usd(t.cost / data.days)}/day</span><span>peak ${usd(peak.cost)} on ${peak.day}</span>`, '#7c5bf5')}
+                ${trend('Daily output tokens', data.byDay.map(d => d.output), `<span>${num(t.output)} total</span>`, '#2dd4a0')}
+                <div class="cb-card">
+                    <div class="cb-card-label">Budgets &amp; cache</div>
+                    <div class="cw-usage-gauges">${gauges.join('')}</div>
+                </div>
+                ${split('By model', data.byModel, 'model')}
+                ${split('By project', data.byProject, 'cwd')}
+            </div>`;
     }
 };
 
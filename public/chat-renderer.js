@@ -1,9 +1,27 @@
 /**
  * Chat Renderer
- * Markdown rendering with syntax highlighting and tool call cards.
+ * Markdown rendering with syntax highlighting, tool call cards and file diffs.
  */
 
 const ChatRenderer = {
+    /** @type {boolean} Show diffs side by side instead of unified */
+    diffSplit: false,
+
+    /** File extension → highlight.js language */
+    extLanguages: {
+        js: 'javascript', mjs: 'javascript', cjs: 'javascript', jsx: 'javascript',
+        ts: 'typescript', tsx: 'typescript', py: 'python', rb: 'ruby', go: 'go',
+        rs: 'rust', java: 'java', kt: 'kotlin', c: 'c', h: 'c', cpp: 'cpp', cc: 'cpp',
+        hpp: 'cpp', cs: 'csharp', php: 'php', swift: 'swift', sh: 'bash', bash: 'bash',
+        zsh: 'bash', ps1: 'powershell', json: 'json', yml: 'yaml', yaml: 'yaml',
+        toml: 'ini', ini: 'ini', md: 'markdown', html: 'xml', htm: 'xml', xml: 'xml',
+        svg: 'xml', vue: 'xml', css: 'css', scss: 'scss', less: 'less', sql: 'sql',
+        lua: 'lua', r: 'r',
+    },
+
+    /** Tools that launch a subagent; its turns render nested inside the card */
+    subagentTools: ['Task', 'Agent'],
+
     /**
      * Configure marked.js with custom renderer.
      */
@@ -61,6 +79,199 @@ const ChatRenderer = {
         return marked.parse(text, { renderer });
     },
 
+    /**
+     * Infer the highlight.js language for a file path.
+     * @param {string} filePath
+     * @returns {string|null} Language name, or null if unknown
+     */
+    languageFor(filePath) {
+        const name = (filePath || '').split(/[\\/]/).pop().toLowerCase();
+        const lang = name === 'dockerfile' ? 'dockerfile'
+            : name === 'makefile' ? 'makefile'
+            : this.extLanguages[name.includes('.') ? name.split('.').pop() : ''];
+        return lang && hljs.getLanguage(lang) ? lang : null;
+    },
+
+    /**
+     * Syntax-highlight code, falling back to escaped text.
+     * @param {string} code
+     * @param {string|null} lang
+     * @returns {string} HTML
+     */
+    highlight(code, lang) {
+        try {
+            if (lang) return hljs.highlight(code, { language: lang }).value;
+        } catch {}
+        return CbUtils.escapeHtml(code);
+    },
+
+    /**
+     * Line diff of two texts (LCS after trimming the common prefix/suffix).
+     * @param {string} oldText
+     * @param {string} newText
+     * @returns {{type: 'context'|'add'|'del', text: string}[]}
+     */
+    diffLines(oldText, newText) {
+        const a = (oldText || '').split('\n');
+        const b = (newText || '').split('\n');
+
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length, endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+        const midA = a.slice(start, endA);
+        const midB = b.slice(start, endB);
+        const n = midA.length, m = midB.length;
+        const middle = [];
+
+        if (n * m > 1e6) {
+            // Too big for the LCS table — show it as a full replacement
+            midA.forEach(text => middle.push({ type: 'del', text }));
+            midB.forEach(text => middle.push({ type: 'add', text }));
+        } else {
+            // lcs[i][j] = LCS length of midA[i..] and midB[j..]
+            const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+            for (let i = n - 1; i >= 0; i--) {
+                for (let j = m - 1; j >= 0; j--) {
+                    lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+                }
+            }
+            let i = 0, j = 0;
+            while (i < n || j < m) {
+                if (i < n && j < m && midA[i] === midB[j]) {
+                    middle.push({ type: 'context', text: midA[i++] }); j++;
+                } else if (i < n && (j >= m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+                    middle.push({ type: 'del', text: midA[i++] });
+                } else {
+                    middle.push({ type: 'add', text: midB[j++] });
+                }
+            }
+        }
+
+        const context = text => ({ type: 'context', text });
+        return [...a.slice(0, start).map(context), ...middle, ...a.slice(endA).map(context)];
+    },
+
+    /**
+     * Render diff ops as both a unified and a side-by-side view (CSS shows one).
+     * @param {{type: string, text: string}[]} ops
+     * @returns {string} HTML
+     */
+    renderDiff(ops) {
+        const sign = { add: '+', del: '-', context: ' ' };
+        const line = (op, withSign) => op
+            ? `<div class="cw-diff-line ${op.type}">${withSign ? `<span class="cw-diff-sign">${sign[op.type]}</span>` : ''}${CbUtils.escapeHtml(op.text) || ' '}</div>`
+            : '<div class="cw-diff-line empty"> </div>';
+
+        const unified = ops.map(op => line(op, true)).join('');
+
+        // Side by side: pair each run of removals with the additions after it
+        const rows = [];
+        for (let i = 0; i < ops.length;) {
+            if (ops[i].type === 'context') {
+                rows.push([ops[i], ops[i]]);
+                i++;
+                continue;
+            }
+            const dels = [], adds = [];
+            while (i < ops.length && ops[i].type === 'del') dels.push(ops[i++]);
+            while (i < ops.length && ops[i].type === 'add') adds.push(ops[i++]);
+            for (let k = 0; k < Math.max(dels.length, adds.length); k++) {
+                rows.push([dels[k] || null, adds[k] || null]);
+            }
+        }
+        const split = rows.map(([left, right]) => line(left) + line(right)).join('');
+
+        return `<div class="cw-diff ${this.diffSplit ? 'split' : ''}">
+            <div class="cw-diff-unified">${unified}</div>
+            <div class="cw-diff-split">${split}</div>
+        </div>`;
+    },
+
+    /**
+     * Flip every diff on the page between unified and side-by-side.
+     */
+    toggleDiffMode() {
+        this.diffSplit = !this.diffSplit;
+        document.querySelectorAll('.cw-diff').forEach(el => el.classList.toggle('split', this.diffSplit));
+        document.querySelectorAll('.cw-diff-toggle').forEach(btn => {
+            btn.textContent = this.diffSplit ? 'Unified' : 'Side by side';
+        });
+    },
+
+    /**
+     * Tool-specific rendering of a tool's input.
+     * Edit/MultiEdit become diffs, Write a highlighted file preview, TodoWrite a
+     * checklist, anything else JSON.
+     * @param {string} tool
+     * @param {object|string} input
+     * @returns {{html: string, added?: number, removed?: number}|null} null = no special view; line counts for file changes
+     */
+    renderToolInput(tool, input) {
+        if (!input || typeof input !== 'object') return null;
+
+        const count = (ops, type) => ops.filter(op => op.type === type).length;
+        const toggle = `<button class="cw-diff-toggle" onclick="ChatRenderer.toggleDiffMode()">${this.diffSplit ? 'Unified' : 'Side by side'}</button>`;
+        const section = (label, body) => `<div class="cw-tool-section">
+                <div class="cw-tool-section-label">${label}</div>
+                ${body}
+            </div>`;
+
+        if (tool === 'Edit' && typeof input.old_string === 'string') {
+            const ops = this.diffLines(input.old_string, input.new_string);
+            const note = input.replace_all ? ' <span class="cb-dim">(all occurrences)</span>' : '';
+            return {
+                html: section(`Diff${note} ${toggle}`, this.renderDiff(ops)),
+                added: count(ops, 'add'),
+                removed: count(ops, 'del')
+            };
+        }
+
+        if (tool === 'MultiEdit' && Array.isArray(input.edits)) {
+            let html = '', added = 0, removed = 0;
+            input.edits.forEach((edit, i) => {
+                const ops = this.diffLines(edit.old_string, edit.new_string);
+                added += count(ops, 'add');
+                removed += count(ops, 'del');
+                const note = edit.replace_all ? ' <span class="cb-dim">(all occurrences)</span>' : '';
+                html += section(`Edit ${i + 1} of ${input.edits.length}${note} ${i === 0 ? toggle : ''}`, this.renderDiff(ops));
+            });
+            return { html, added, removed };
+        }
+
+        if (tool === 'TodoWrite' && Array.isArray(input.todos)) {
+            return { html: section('Plan', this.renderTodos(input.todos)) };
+        }
+
+        if (tool === 'Write' && typeof input.content === 'string') {
+            const lang = this.languageFor(input.file_path);
+            const lines = input.content ? input.content.split('\n').length : 0;
+            return {
+                html: section(CbUtils.escapeHtml(lang || 'plaintext'),
+                    `<pre class="cw-code-preview"><code>${this.highlight(input.content, lang)}</code></pre>`),
+                added: lines,
+                removed: 0
+            };
+        }
+
+        return null;
+    },
+
+    /**
+     * Render a TodoWrite plan as a checklist.
+     * @param {object[]} todos - {content, status: 'pending'|'in_progress'|'completed', activeForm}
+     * @returns {string} HTML
+     */
+    renderTodos(todos) {
+        const icons = { pending: '&#9744;', in_progress: '&#9680;', completed: '&#9745;' };
+        return `<ul class="cw-todo-list">${todos.map(t => {
+            const status = icons[t.status] ? t.status : 'pending';
+            const text = status === 'in_progress' ? t.activeForm || t.content : t.content;
+            return `<li class="cw-todo ${status}"><span class="cw-todo-icon">${icons[status]}</span>${CbUtils.escapeHtml(text || '')}</li>`;
+        }).join('')}</ul>`;
+    },
+
     /**
      * Copy code to clipboard.
      * @param {HTMLElement} btn
@@ -79,20 +290,56 @@ const ChatRenderer = {
         });
     },
 
+    /**
+     * Render a collapsible extended-thinking panel.
+     * @param {string} text - Reasoning so far
+     * @param {object} [opts]
+     * @param {boolean} [opts.streaming] - Still arriving: expanded, with a live label
+     * @returns {string} HTML
+     */
+    renderThinking(text, { streaming = false } = {}) {
+        return `<div class="cw-reasoning${streaming ? ' streaming expanded' : ''}">
+            <div class="cw-reasoning-header" onclick="this.parentElement.classList.toggle('expanded')">
+                <span class="cw-tool-arrow">&#9654;</span>
+                <span class="cw-reasoning-label">${streaming ? 'Thinking...' : 'Thinking'}</span>
+            </div>
+            <div class="cw-reasoning-body">${CbUtils.escapeHtml(text)}</div>
+        </div>`;
+    },
+
+    /**
+     * Render attachment thumbnails (images) and file chips (everything else).
+     * @param {string} sessionId
+     * @param {object[]} attachments - {id, name, kind}
+     * @returns {string} HTML
+     */
+    renderAttachments(sessionId, attachments) {
+        if (!attachments || attachments.length === 0) return '';
+        return `<div class="cw-msg-attachments">${attachments.map(a => {
+            const url = `/api/sessions/${encodeURIComponent(sessionId)}/attachments/${encodeURIComponent(a.id)}`;
+            const name = CbUtils.escapeAttr(a.name);
+            return a.kind === 'image'
+                ? `<a href="${url}" target="_blank" title="${name}"><img class="cw-attachment-thumb" src="${url}" alt="${name}"></a>`
+                : `<a class="cw-attachment-file" href="${url}" title="${name}">&#128196; ${name}</a>`;
+        }).join('')}</div>`;
+    },
+
     /**
      * Get a one-line summary for a tool call.
      * @param {string} toolName
-     * @param {object} input
+     * @param {object|string} input
      * @returns {string}
      */
     toolSummary(toolName, input) {
         if (!input) return '';
+        if (typeof input === 'string') return input.split('\n')[0].slice(0, 80);
         switch (toolName) {
             case 'Read':
                 return input.file_path || '';
             case 'Write':
                 return input.file_path || '';
             case 'Edit':
+            case 'MultiEdit':
                 return input.file_path || '';
             case 'Glob':
                 return input.pattern || '';
@@ -105,7 +352,14 @@ const ChatRenderer = {
             case 'WebFetch':
                 return input.url || '';
             case 'Task':
+            case 'Agent':
                 return input.description || '';
+            case 'TodoWrite': {
+                const todos = Array.isArray(input.todos) ? input.todos : [];
+                const done = todos.filter(t => t.status === 'completed').length;
+                const current = todos.find(t => t.status === 'in_progress');
+                return `${done}/${todos.length} done` + (current ? ` · ${current.activeForm || current.content}` : '');
+            }
             default:
                 // Try to find a meaningful field
                 const first = Object.values(input)[0];
@@ -126,6 +380,7 @@ const ChatRenderer = {
      */
     renderToolCard({ id, tool, input, output, running, isError }) {
         const summary = this.toolSummary(tool, input);
+        const subagent = this.subagentTools.includes(tool);
         const statusHtml = running
             ? '<span class="cw-tool-spinner"></span>'
             : isError
@@ -133,25 +388,37 @@ const ChatRenderer = {
                 : '<span class="cb-dot cb-dot-sm cb-dot-success"></span>';
 
         let bodyHtml = '';
-        if (input) {
+        let statsHtml = '';
+        const view = this.renderToolInput(tool, input);
+        if (view) {
+            bodyHtml += view.html;
+            if (view.added != null) {
+                statsHtml = `<span class="cw-diff-stats"><span class="cw-diff-added">+${view.added}</span> <span class="cw-diff-removed">-${view.removed}</span></span>`;
+            }
+        } else if (input) {
             const inputStr = typeof input === 'string' ? input : JSON.stringify(input, null, 2);
             bodyHtml += `<div class="cw-tool-section">
                 <div class="cw-tool-section-label">Input</div>
                 <pre>${CbUtils.escapeHtml(inputStr)}</pre>
             </div>`;
         }
-        if (output != null) {
-            bodyHtml += `<div class="cw-tool-section">
-                <div class="cw-tool-section-label">Output</div>
-                <pre>${CbUtils.escapeHtml(String(output))}</pre>
+        if (subagent) {
+            bodyHtml += `<div class="cw-tool-section cw-subagent">
+                <div class="cw-tool-section-label">Subagent</div>
+                <div class="cw-subagent-log"></div>
             </div>`;
         }
+        if (output != null) {
+            bodyHtml += this.renderToolOutput(output, tool);
+        }
 
-        return `<div class="cw-tool-card" id="tool-${CbUtils.escapeHtml(id)}" onclick="ChatRenderer.toggleTool(this, event)">
+        return `<div class="cw-tool-card" id="tool-${CbUtils.escapeHtml(id)}" data-tool="${CbUtils.escapeHtml(tool)}" onclick="ChatRenderer.toggleTool(this, event)">
             <div class="cw-tool-header">
                 <span class="cw-tool-arrow">&#9654;</span>
                 <span class="cw-tool-name">${CbUtils.escapeHtml(tool)}</span>
                 <span class="cw-tool-summary">${CbUtils.escapeHtml(summary)}</span>
+                ${subagent ? '<span class="cw-subagent-progress cb-tiny cb-dim"></span>' : ''}
+                ${statsHtml}
                 <span class="cw-tool-status">${statusHtml}</span>
             </div>
             <div class="cw-tool-body">${bodyHtml}</div>
@@ -159,13 +426,77 @@ const ChatRenderer = {
     },
 
     /**
-     * Toggle tool card expansion.
+     * Render a tool permission request with approve / deny actions.
+     * @param {object} req - permission_request payload
+     * @param {string} req.requestId
+     * @param {string} req.tool - Tool name
+     * @param {object} [req.input] - Tool input awaiting approval
+     * @param {string} [req.decisionReason] - Why the SDK is asking
+     * @param {string} [req.blockedPath] - Path outside the allowed directories
+     * @param {string[]} [req.alwaysRules] - Rules "Always allow" would add; none means it isn't offered
+     * @returns {string} HTML
+     */
+    renderPermissionCard({ requestId, tool, input, decisionReason, blockedPath, alwaysRules = [] }) {
+        const id = CbUtils.escapeHtml(requestId);
+        const toolName = CbUtils.escapeHtml(tool);
+        const summary = this.toolSummary(tool, input);
+        const reason = [decisionReason, blockedPath && `Path: ${blockedPath}`].filter(Boolean).join(' · ');
+
+        return `<div class="cw-permission-card" id="perm-${id}" data-request-id="${CbUtils.escapeAttr(requestId)}">
+            <div class="cw-permission-header">
+                <span class="cw-permission-title">Allow <span class="cw-tool-name">${toolName}</span>?</span>
+                <span class="cw-tool-summary">${CbUtils.escapeHtml(summary)}</span>
+            </div>
+            ${reason ? `<div class="cb-dim cb-small">${CbUtils.escapeHtml(reason)}</div>` : ''}
+            <pre class="cw-permission-input">${CbUtils.escapeHtml(JSON.stringify(input || {}, null, 2))}</pre>
+            <div class="cw-permission-actions">
+                <button class="cb-btn cb-btn-primary" data-decision="allow">Approve</button>
+                ${alwaysRules.length ? `<button class="cb-btn" data-decision="always">Always allow ${CbUtils.escapeHtml(alwaysRules.join(', '))}</button>` : ''}
+                <button class="cb-btn cw-permission-deny" data-decision="deny">Deny</button>
+            </div>
+        </div>`;
+    },
+
+    /**
+     * Render the output section of a tool card. A subagent's output is its
+     * final report, so it renders as markdown.
+     * @param {string} output
+     * @param {string} [tool]
+     * @returns {string}
+     */
+    renderToolOutput(output, tool) {
+        if (this.subagentTools.includes(tool)) {
+            return `<div class="cw-tool-section">
+                <div class="cw-tool-section-label">Result</div>
+                <div class="cw-subagent-result">${this.renderMarkdown(String(output))}</div>
+            </div>`;
+        }
+        return `<div class="cw-tool-section">
+                <div class="cw-tool-section-label">Output</div>
+                <pre>${CbUtils.escapeHtml(String(output))}</pre>
+            </div>`;
+    },
+
+    /**
+     * Fill in a tool result on a card that's already rendered (history, or
+     * a subagent's tool call finishing).
+     * @param {HTMLElement} card
+     * @param {object} result - {output, isError}
+     */
+    applyToolResult(card, { output, isError }) {
+        card.querySelector(':scope > .cw-tool-body').insertAdjacentHTML('beforeend', this.renderToolOutput(output, card.dataset.tool));
+        card.querySelector(':scope > .cw-tool-header .cw-tool-status').innerHTML =
+            `<span class="cb-dot cb-dot-sm ${isError ? 'cb-dot-error' : 'cb-dot-success'}"></span>`;
+    },
+
+    /**
+     * Toggle tool card expansion. Only the card's own header toggles it —
+     * not clicks in its body, or on a nested subagent card.
      * @param {HTMLElement} card
      * @param {Event} event
      */
     toggleTool(card, event) {
-        // Don't toggle if clicking inside the body
-        if (event.target.closest('.cw-tool-body')) return;
+        if (event.target.closest('.cw-tool-header')?.parentElement !== card) return;
         card.classList.toggle('expanded');
     },
 
@@ -32,6 +32,21 @@ const CbUtils = {
         return div.innerHTML;
     },
 
+    /**
+     * Escape text for use inside a quoted HTML attribute value.
+     * @param {string} text
+     * @returns {string}
+     */
+    escapeAttr(text) {
+        if (text == null) return '';
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
     /**
      * Format a Date as relative time (e.g. "5m ago").
      * @param {Date} date
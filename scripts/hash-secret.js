@@ -0,0 +1,22 @@
+/**
+ * Hash a password or API token for config.json.
+ *
+ *   npm run hash-secret -- <password>   → value for auth.passwordHash
+ *   npm run hash-secret -- --token      → new random token + value for auth.tokenHashes
+ */
+
+import { randomBytes } from 'crypto';
+import { hashSecret } from '../lib/auth.js';
+
+const arg = process.argv[2];
+
+if (arg === '--token') {
+  const token = randomBytes(24).toString('base64url');
+  console.log(`Token (give to the client, not stored anywhere): ${token}`);
+  console.log(`Hash  (add to auth.tokenHashes):                 ${hashSecret(token)}`);
+} else if (arg) {
+  console.log(hashSecret(arg));
+} else {
+  console.error('Usage: npm run hash-secret -- <password> | --token');
+  process.exit(1);
+}
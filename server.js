@@ -7,10 +7,20 @@
 import express from 'express';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import store from './lib/session-store.js';
+import store, { validateSettings, SETTING_KEYS } from './lib/session-store.js';
 import sse from './lib/sse-manager.js';
 import runner from './lib/agent-runner.js';
 import commands from './lib/slash-commands.js';
+import attachments, { MAX_ATTACHMENT_BYTES } from './lib/attachment-store.js';
+import exporter, { EXPORT_FORMATS } from './lib/exporter.js';
+import cliSessions from './lib/cli-sessions.js';
+import workspace from './lib/workspace.js';
+import directories from './lib/directory-browser.js';
+import budget from './lib/budget.js';
+import usageLedger from './lib/usage-ledger.js';
+import metrics from './lib/metrics.js';
+import { publicConfig } from './lib/config.js';
+import auth from './lib/auth.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const app = express();
@@ -19,21 +29,52 @@ const PORT = 3456;
 app.use(express.json());
 app.use(express.static(join(__dirname, 'public')));
 
-// ─── Config ──────────────────────────────────────────────────────
-
-import { readFileSync } from 'fs';
-const configPath = join(__dirname, 'config.json');
-let config = { name: 'Claude Web', tagline: 'Claude Code in a browser window.', defaultCwd: '', defaultModel: 'claude-sonnet-4-5-20250929' };
-try { config = JSON.parse(readFileSync(configPath, 'utf-8')); } catch {}
-
-app.get('/api/config', (req, res) => res.json(config));
-
 // ─── Health ───────────────────────────────────────────────────────
 
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', uptime: process.uptime() });
 });
 
+// Prometheus scrape target; outside /api, so it takes the auth check explicitly
+app.get('/metrics', auth.middleware(), (req, res) => {
+  res.type('text/plain; version=0.0.4');
+  res.send(metrics.render());
+});
+
+// ─── Auth ─────────────────────────────────────────────────────────
+
+app.get('/api/auth/status', async (req, res) => {
+  res.json({ required: auth.enabled, authenticated: await auth.isAuthenticated(req) });
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  const wait = auth.retryAfter(req.ip);
+  if (wait) {
+    res.set('Retry-After', String(wait));
+    return res.status(429).json({ error: `Too many failed attempts — try again in ${wait}s` });
+  }
+  const token = await auth.login(req.body.password, req.ip);
+  if (!token) {
+    console.warn(`[Auth] Failed login from ${req.ip}`);
+    return res.status(401).json({ error: 'Wrong password' });
+  }
+  auth.setCookie(req, res, token);
+  res.json({ ok: true });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  auth.logout(req);
+  auth.clearCookie(res);
+  res.json({ ok: true });
+});
+
+// Everything below requires a session cookie or bearer token
+app.use('/api', auth.middleware());
+
+// ─── Config ──────────────────────────────────────────────────────
+
+app.get('/api/config', (req, res) => res.json(publicConfig()));
+
 // ─── Sessions CRUD ────────────────────────────────────────────────
 
 app.get('/api/sessions', (req, res) => {
@@ -41,25 +82,238 @@ app.get('/api/sessions', (req, res) => {
 });
 
 app.post('/api/sessions', (req, res) => {
-  const { name, cwd, model } = req.body;
-  if (!cwd) return res.status(400).json({ error: 'cwd is required' });
-  const session = store.create({ name, cwd, model });
+  if (!req.body.cwd) return res.status(400).json({ error: 'cwd is required' });
+  const settings = Object.fromEntries(SETTING_KEYS.map(key => [key, req.body[key]]));
+  const invalid = validateSettings(settings);
+  if (invalid) return res.status(400).json({ error: invalid });
+  const session = store.create(settings);
   res.status(201).json(session);
 });
 
+app.patch('/api/sessions/:id', async (req, res) => {
+  const session = store.get(req.params.id);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+
+  const updates = req.body || {};
+  const invalid = validateSettings(updates);
+  if (invalid) return res.status(400).json({ error: invalid });
+  if (updates.name !== undefined) updates.name = updates.name.trim();
+
+  // The settings modal sends every field; only what differs counts as a change
+  const changes = Object.fromEntries(Object.entries(updates)
+    .filter(([key, value]) => value !== undefined && JSON.stringify(value) !== JSON.stringify(session[key] ?? null)));
+
+  if (changes.cwd !== undefined) {
+    if (runner.isRunning(req.params.id)) {
+      return res.status(409).json({ error: 'Stop the session before changing its working directory' });
+    }
+    // SDK transcripts live per project directory, so the conversation starts over there
+    Object.assign(changes, { sdkSessionId: null, forkPoint: null });
+  }
+
+  if (changes.permissionMode) {
+    // A running query switches permission mode immediately; everything else applies on
+    // the next prompt. If the query won't switch, nothing is saved, so the UI never
+    // shows a mode that isn't in effect.
+    const refused = await runner.setPermissionMode(req.params.id, changes.permissionMode);
+    if (refused) {
+      return res.status(409).json({ error: `The running prompt can't switch to ${changes.permissionMode} (${refused}) — stop it or wait for it to finish first` });
+    }
+    // Approvals given under one permission mode don't carry over to another
+    runner.forgetApprovals(req.params.id);
+  }
+
+  if (Object.keys(changes).length) {
+    store.update(req.params.id, changes);
+    if (changes.budgetUsd !== undefined) budget.resetSession(req.params.id);
+    sse.broadcast(req.params.id, 'session_updated', changes);
+  }
+  res.json(store.get(req.params.id));
+});
+
 app.delete('/api/sessions/:id', (req, res) => {
   if (runner.isRunning(req.params.id)) {
     runner.interrupt(req.params.id);
   }
   const deleted = store.delete(req.params.id);
   if (!deleted) return res.status(404).json({ error: 'Session not found' });
+  runner.removeQueued(req.params.id);
+  runner.forgetApprovals(req.params.id);
+  attachments.deleteSession(req.params.id);
+  budget.resetSession(req.params.id);
+  sse.clear(req.params.id);
   res.json({ ok: true });
 });
 
+app.post('/api/sessions/:id/fork', (req, res) => {
+  const { messageId } = req.body;
+  if (!messageId) return res.status(400).json({ error: 'messageId is required' });
+  if (!store.get(req.params.id)) return res.status(404).json({ error: 'Session not found' });
+
+  let session;
+  try {
+    session = store.fork(req.params.id, messageId);
+  } catch (err) {
+    return res.status(409).json({ error: err.message });
+  }
+  if (!session) return res.status(404).json({ error: 'Message not found' });
+  attachments.copySession(req.params.id, session.id);
+
+  // Forking at a user message hands that prompt back to be edited and re-sent
+  const branchAt = store.getHistory(req.params.id).find(m => m.id === messageId);
+  const prefill = branchAt.role === 'user' ? branchAt.content : null;
+  res.status(201).json({ session, prefill });
+});
+
+app.get('/api/sessions/:id/budget', (req, res) => {
+  const session = store.get(req.params.id);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  res.json(budget.status(session));
+});
+
 app.get('/api/sessions/:id/history', (req, res) => {
   const session = store.get(req.params.id);
   if (!session) return res.status(404).json({ error: 'Session not found' });
-  res.json(store.getHistory(req.params.id));
+  const limit = Math.min(parseInt(req.query.limit, 10) || 200, 1000);
+  // lastEventId lets the client open the stream exactly where this snapshot ends
+  res.json({ ...store.getHistoryPage(req.params.id, { before: req.query.before, limit }), lastEventId: sse.lastId(req.params.id) });
+});
+
+app.get('/api/sessions/:id/export', (req, res) => {
+  const session = store.get(req.params.id);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  const format = req.query.format || 'md';
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+
+  const { body, contentType, filename } = exporter.render(session, store.getHistory(req.params.id), format);
+  res.attachment(filename);
+  res.type(contentType);
+  res.send(body);
+});
+
+// ─── Search ───────────────────────────────────────────────────────
+
+app.get('/api/search', (req, res) => {
+  const q = (req.query.q || '').trim();
+  if (!q) return res.status(400).json({ error: 'q query param required' });
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  res.json(store.search(q, { limit }));
+});
+
+// ─── Usage ────────────────────────────────────────────────────────
+
+app.get('/api/usage', (req, res) => {
+  const days = parseInt(req.query.days, 10) || 30;
+  res.json({ ...usageLedger.summary({ days }), budgets: budget.globalStatus() });
+});
+
+// ─── CLI Session Import ───────────────────────────────────────────
+
+app.get('/api/cli-sessions', (req, res) => {
+  const cwd = req.query.cwd;
+  if (!cwd || typeof cwd !== 'string') return res.status(400).json({ error: 'cwd query param required' });
+
+  // Flag transcripts that already have a session here
+  res.json(cliSessions.list(cwd).map(s => ({ ...s, importedAs: store.findBySdkSession(s.sessionId)?.id || null })));
+});
+
+app.post('/api/cli-sessions/import', (req, res) => {
+  const { cwd, sessionId, name, model } = req.body;
+  if (!cwd || !sessionId || typeof sessionId !== 'string') {
+    return res.status(400).json({ error: 'cwd and sessionId are required' });
+  }
+  // Same rules as a new session: an absolute, existing directory and a known model
+  const invalid = validateSettings({ cwd, name, model });
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  const existing = store.findBySdkSession(sessionId);
+  if (existing) return res.status(409).json({ error: 'Already imported', sessionId: existing.id });
+
+  const messages = cliSessions.read(cwd, sessionId);
+  if (!messages) return res.status(404).json({ error: 'CLI session not found' });
+
+  const firstPrompt = messages.find(m => m.role === 'user')?.content || '';
+  const session = store.create({ name: name || firstPrompt.slice(0, 40) || 'Imported session', cwd, model });
+  store.update(session.id, { sdkSessionId: sessionId, importedFrom: 'cli' });
+  store.replaceHistory(session.id, messages);
+  res.status(201).json(session);
+});
+
+// ─── Attachments ──────────────────────────────────────────────────
+
+// Raw body upload: the file's name and MIME type ride in the query string.
+// The browser sends application/octet-stream so express.json() leaves JSON files alone.
+app.post('/api/sessions/:id/attachments',
+  express.raw({ type: () => true, limit: MAX_ATTACHMENT_BYTES }),
+  (req, res) => {
+    if (!store.get(req.params.id)) return res.status(404).json({ error: 'Session not found' });
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'File body is required' });
+    }
+
+    const meta = attachments.save(req.params.id, {
+      name: req.query.name,
+      mimeType: req.query.type,
+      data: req.body
+    });
+    if (!meta) return res.status(415).json({ error: 'Unsupported file type — images, PDFs and text files only' });
+    res.status(201).json(meta);
+  });
+
+app.get('/api/sessions/:id/attachments/:attId', (req, res) => {
+  const meta = attachments.get(req.params.id, req.params.attId);
+  if (!meta) return res.status(404).json({ error: 'Attachment not found' });
+
+  // Only images render inline — anything else downloads, so uploaded HTML can't run here
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  if (meta.kind !== 'image') res.attachment(meta.name);
+  res.type(meta.mimeType);
+  res.sendFile(attachments.path(req.params.id, req.params.attId));
+});
+
+// ─── Directory Picker ─────────────────────────────────────────────
+
+app.get('/api/directories', (req, res) => {
+  const path = req.query.path;
+  if (!path) return res.json(directories.overview(store.list()));
+  if (!directories.allowed(path)) return res.status(400).json({ error: 'Path is outside the workspace roots' });
+
+  const listing = directories.list(path);
+  if (!listing) return res.status(404).json({ error: 'Directory not found' });
+  res.json(listing);
+});
+
+// ─── Workspace Files ──────────────────────────────────────────────
+
+app.get('/api/sessions/:id/files', (req, res) => {
+  const session = store.get(req.params.id);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  const path = req.query.path || '';
+  if (!workspace.resolve(session.cwd, path)) return res.status(400).json({ error: 'Path is outside the working directory' });
+
+  const listing = workspace.list(session.cwd, path);
+  if (!listing) return res.status(404).json({ error: 'Directory not found' });
+  res.json(listing);
+});
+
+app.get('/api/sessions/:id/files/content', (req, res) => {
+  const session = store.get(req.params.id);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  const path = req.query.path;
+  if (!path) return res.status(400).json({ error: 'path query param required' });
+  if (!workspace.resolve(session.cwd, path)) return res.status(400).json({ error: 'Path is outside the working directory' });
+
+  const file = workspace.read(session.cwd, path);
+  if (!file) return res.status(404).json({ error: 'File not found' });
+  res.json(file);
+});
+
+app.get('/api/sessions/:id/files/touched', (req, res) => {
+  const session = store.get(req.params.id);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  res.json(workspace.touched(session.cwd, store.getHistory(req.params.id)));
 });
 
 // ─── Slash Commands ───────────────────────────────────────────────
@@ -71,41 +325,99 @@ app.get('/api/commands', (req, res) => {
 
 // ─── Chat ─────────────────────────────────────────────────────────
 
+/**
+ * Expand a slash command against the session's project and user commands.
+ * The command's !`cmd` lines and @files are filled in later, when its turn runs.
+ * @param {object} session
+ * @param {string} text - What the user typed
+ * @returns {{text: string, prompt: string, command: object|null}|{error: string}} command is
+ *   {command, args, description, model, allowedTools}
+ */
+function expandPrompt(session, text) {
+  const parsed = commands.parse(text);
+  if (!parsed) return { text, prompt: text, command: null };
+  if (commands.builtin(parsed.name)) return { error: `/${parsed.name} runs right away and can't be queued` };
+
+  let resolved;
+  try {
+    resolved = commands.resolve(parsed.name, parsed.args, session.cwd);
+  } catch (err) {
+    return { error: err.message };
+  }
+  if (!resolved) return { error: `Unknown command: /${parsed.name}` };
+  return {
+    text,
+    prompt: resolved.prompt,
+    command: {
+      command: parsed.name,
+      args: parsed.args,
+      description: resolved.description,
+      model: resolved.model,
+      allowedTools: resolved.allowedTools
+    }
+  };
+}
+
+/**
+ * Run a built-in command and show its output in the session as a system message.
+ * Built-ins answer even while Claude is busy or the budget is spent.
+ */
+async function runBuiltin(session, { name, args }, res) {
+  let output;
+  try {
+    output = await commands.builtin(name).run({ session, args, runner });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const { text, level = 'info', clear = false, running = false } = output;
+  sse.broadcast(session.id, 'system_message', { command: name, text, level, clear });
+  res.json({ ok: true, sessionId: session.id, builtin: name, running });
+}
+
 app.post('/api/chat', (req, res) => {
-  const { sessionId, prompt } = req.body;
-  if (!sessionId || !prompt) {
-    return res.status(400).json({ error: 'sessionId and prompt are required' });
+  const { sessionId, prompt = '', attachments: attachmentIds = [] } = req.body;
+  if (!sessionId || typeof prompt !== 'string' || !Array.isArray(attachmentIds) || (!prompt.trim() && attachmentIds.length === 0)) {
+    return res.status(400).json({ error: 'sessionId and prompt (or attachments) are required' });
   }
 
   const session = store.get(sessionId);
   if (!session) return res.status(404).json({ error: 'Session not found' });
-  if (session.status === 'running') {
-    return res.status(409).json({ error: 'Session is already running' });
-  }
 
-  // Expand slash commands
-  let finalPrompt = prompt;
   const parsed = commands.parse(prompt);
-  if (parsed) {
-    const resolved = commands.resolve(parsed.name, parsed.args, session.cwd);
-    if (resolved) {
-      finalPrompt = resolved.prompt;
-      // Notify client that command was expanded
-      sse.broadcast(sessionId, 'command_expanded', {
-        command: parsed.name,
-        description: resolved.description
-      });
-    } else {
-      return res.status(400).json({ error: `Unknown command: /${parsed.name}` });
-    }
+  if (parsed && commands.builtin(parsed.name)) {
+    if (attachmentIds.length) return res.status(400).json({ error: `/${parsed.name} doesn't take attachments — remove them or send them with a prompt` });
+    return runBuiltin(session, parsed, res);
   }
 
+  const over = budget.exceeded(session);
+  if (over) {
+    return res.status(402).json({
+      error: `The ${over.scope} budget of $${over.limit.toFixed(2)} is used up ($${over.spent.toFixed(2)} spent)`,
+      budget: over
+    });
+  }
+
+  const files = attachmentIds.map(id => attachments.get(sessionId, id));
+  if (files.includes(null)) return res.status(400).json({ error: 'Unknown attachment' });
+
+  const expanded = expandPrompt(session, prompt);
+  if (expanded.error) return res.status(400).json({ error: expanded.error });
+
+  // Busy — park it; the runner picks it up when the current run finishes
+  if (runner.isRunning(sessionId)) {
+    const item = runner.enqueue(sessionId, { ...expanded, attachments: files });
+    return res.status(202).json({ ok: true, sessionId, queued: true, item });
+  }
+
+  // Notify client that command was expanded
+  if (expanded.command) sse.broadcast(sessionId, 'command_expanded', expanded.command);
+
   // Fire and forget — results stream via SSE
-  runner.run(sessionId, finalPrompt).catch(err => {
+  runner.run(sessionId, expanded.prompt, { attachments: files, command: expanded.command }).catch(err => {
     console.error('[Server] Runner error:', err.message);
   });
 
-  res.status(202).json({ ok: true, sessionId, expanded: !!parsed });
+  res.status(202).json({ ok: true, sessionId, expanded: !!expanded.command });
 });
 
 app.post('/api/chat/:id/stop', (req, res) => {
@@ -113,6 +425,63 @@ app.post('/api/chat/:id/stop', (req, res) => {
   res.json({ ok: true, interrupted });
 });
 
+// ─── Prompt Queue ─────────────────────────────────────────────────
+
+app.get('/api/sessions/:id/queue', (req, res) => {
+  if (!store.get(req.params.id)) return res.status(404).json({ error: 'Session not found' });
+  res.json({ items: runner.getQueue(req.params.id), paused: runner.queuePaused(req.params.id) });
+});
+
+app.post('/api/sessions/:id/queue/resume', (req, res) => {
+  if (!store.get(req.params.id)) return res.status(404).json({ error: 'Session not found' });
+  if (!runner.resumeQueue(req.params.id)) return res.status(409).json({ error: 'The queue is not on hold' });
+  res.json({ ok: true });
+});
+
+app.put('/api/sessions/:id/queue/:itemId', (req, res) => {
+  const session = store.get(req.params.id);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  if (typeof req.body.prompt !== 'string' || !req.body.prompt.trim()) {
+    return res.status(400).json({ error: 'prompt is required' });
+  }
+
+  const expanded = expandPrompt(session, req.body.prompt);
+  if (expanded.error) return res.status(400).json({ error: expanded.error });
+
+  const item = runner.updateQueued(req.params.id, req.params.itemId, expanded);
+  if (!item) return res.status(404).json({ error: 'Queued prompt not found' });
+  res.json(item);
+});
+
+app.delete('/api/sessions/:id/queue', (req, res) => {
+  if (!store.get(req.params.id)) return res.status(404).json({ error: 'Session not found' });
+  runner.removeQueued(req.params.id);
+  res.json({ ok: true });
+});
+
+app.delete('/api/sessions/:id/queue/:itemId', (req, res) => {
+  if (!runner.removeQueued(req.params.id, req.params.itemId)) {
+    return res.status(404).json({ error: 'Queued prompt not found' });
+  }
+  res.json({ ok: true });
+});
+
+// ─── Tool Permissions ─────────────────────────────────────────────
+
+app.get('/api/chat/:id/permission', (req, res) => {
+  res.json(runner.pendingPermissions(req.params.id));
+});
+
+app.post('/api/chat/:id/permission', (req, res) => {
+  const { requestId, decision, message } = req.body;
+  if (!requestId || !['allow', 'deny', 'always'].includes(decision)) {
+    return res.status(400).json({ error: 'requestId and decision (allow | deny | always) are required' });
+  }
+  const resolved = runner.resolvePermission(req.params.id, requestId, decision, message);
+  if (!resolved) return res.status(404).json({ error: 'Permission request not found or already answered' });
+  res.json({ ok: true });
+});
+
 // ─── SSE Stream ───────────────────────────────────────────────────
 
 app.get('/api/chat/:id/sse', (req, res) => {
@@ -134,7 +503,10 @@ app.get('/api/chat/:id/sse', (req, res) => {
     res.write(': keepalive\n\n');
   }, 30000);
 
-  sse.add(req.params.id, res);
+  // EventSource resends the last ID it saw when it auto-reconnects;
+  // the query param lets clients resume on a fresh connection too.
+  const lastEventId = req.headers['last-event-id'] ?? req.query.lastEventId;
+  sse.add(req.params.id, res, typeof lastEventId === 'string' && lastEventId ? lastEventId : undefined);
 
   req.on('close', () => {
     clearInterval(keepAlive);
@@ -148,4 +520,7 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`  Local:   http://localhost:${PORT}`);
   console.log(`  Network: http://192.168.1.62:${PORT}`);
   console.log(`Sessions: ${store.list().length} loaded from disk`);
+  if (!auth.enabled) {
+    console.warn('[Auth] No password or tokens in config.json — anyone who can reach this port has a shell');
+  }
 });